@@ -5,55 +5,134 @@
 
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const {
+  parseServiceAccountKey,
+  normalizeServiceAccountKey,
+  maskSecret,
+} = require('./service-account-key');
+const { DEFAULT_ENDPOINTS } = require('./endpoints');
+const { createTransport } = require('./http');
+const {
+  CdnError,
+  ValidationError,
+  AuthenticationError,
+  fromHttpError,
+} = require('./errors');
+const { requestFederatedToken } = require('./workload-identity');
+const { requestMetadataToken } = require('./metadata');
+
+// Refresh service account tokens this long before they expire
+const REFRESH_MARGIN_SECONDS = 300;
+// The metadata service renews its token itself and may hand out tokens with
+// little time left, so only re-fetch shortly before expiry
+const METADATA_REFRESH_MARGIN_SECONDS = 30;
+// Assumed token lifetime when the IAM API does not report one
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
 
 /**
- * Exchange JWT for IAM token
+ * Connection options for the IAM API
+ * @typedef {Object} AuthOptions
+ * @property {string} [iamEndpoint] - IAM API endpoint (default: https://iam.api.cloud.yandex.net)
+ * @property {string} [caFile] - Extra CA bundle to trust
+ * @property {string} [serviceAccountId] - Service account for GitHub OIDC
+ *   workload identity federation
+ * @property {string} [oidcAudience] - GitHub OIDC token audience
+ * @property {string} [tokenExchangeEndpoint] - OIDC token exchange URL
+ * @property {boolean} [useInstanceMetadata] - Get tokens from the instance
+ *   metadata service when no other credentials are given
+ * @property {string} [metadataHost] - Instance metadata service host
+ */
+
+/**
+ * Get the IAM token exchange URL
+ * @param {AuthOptions} [options] - Connection options
+ * @returns {string} Token URL
+ */
+function getTokenUrl(options = {}) {
+  return `${options.iamEndpoint || DEFAULT_ENDPOINTS.iam}/iam/v1/tokens`;
+}
+
+/**
+ * Exchange JWT for IAM token, keeping its expiry time
  * @param {string} jwtToken - Signed JWT token
- * @returns {Promise<string>} IAM token
- * @throws {Error} If token exchange fails
+ * @param {AuthOptions} [options] - Connection options
+ * @returns {Promise<{ iamToken: string, expiresAt: number|null }>} IAM token and
+ *   its expiry as a timestamp in ms (null if the response has none)
+ * @throws {CdnError} If token exchange fails
  */
-async function exchangeJwtForIamToken(jwtToken) {
+async function requestIamToken(jwtToken, options = {}) {
+  const url = getTokenUrl(options);
+
   try {
     const response = await axios.post(
-      'https://iam.api.cloud.yandex.net/iam/v1/tokens',
+      url,
       { jwt: jwtToken },
       {
         headers: { 'Content-Type': 'application/json' },
         timeout: 10000,
+        ...createTransport(url, options),
       }
     );
 
     if (!response.data || !response.data.iamToken) {
-      throw new Error('Invalid response from IAM token endpoint');
+      throw new AuthenticationError('Invalid response from IAM token endpoint');
     }
 
-    return response.data.iamToken;
+    const expiresAt = Date.parse(response.data.expiresAt);
+    return {
+      iamToken: response.data.iamToken,
+      expiresAt: Number.isNaN(expiresAt) ? null : expiresAt,
+    };
   } catch (error) {
+    if (error instanceof CdnError) {
+      throw error;
+    }
     if (error.response) {
-      throw new Error(
+      throw fromHttpError(
         `Failed to exchange JWT for IAM token: ${error.response.status} - ${
           error.response.data?.message || error.message
-        }`
+        }`,
+        error,
+        {},
+        AuthenticationError
       );
     }
-    throw new Error(`Failed to exchange JWT for IAM token: ${error.message}`);
+    throw fromHttpError(
+      `Failed to exchange JWT for IAM token: ${error.message}`,
+      error,
+      {},
+      AuthenticationError
+    );
   }
 }
 
+/**
+ * Exchange JWT for IAM token
+ * @param {string} jwtToken - Signed JWT token
+ * @param {AuthOptions} [options] - Connection options
+ * @returns {Promise<string>} IAM token
+ * @throws {CdnError} If token exchange fails
+ */
+async function exchangeJwtForIamToken(jwtToken, options = {}) {
+  const { iamToken } = await requestIamToken(jwtToken, options);
+  return iamToken;
+}
+
 /**
  * Create JWT from Service Account Key
  * @param {Object} serviceAccountKey - Service Account authorized key
  * @param {string} serviceAccountKey.id - Key ID
  * @param {string} serviceAccountKey.service_account_id - Service Account ID
  * @param {string} serviceAccountKey.private_key - Private key in PEM format
+ * @param {AuthOptions} [options] - Connection options, used for the JWT audience
  * @returns {string} Signed JWT token
- * @throws {Error} If JWT creation fails
+ * @throws {CdnError} If JWT creation fails
  */
-function createJwt(serviceAccountKey) {
+function createJwt(serviceAccountKey, options = {}) {
   const now = Math.floor(Date.now() / 1000);
 
   const payload = {
-    aud: 'https://iam.api.cloud.yandex.net/iam/v1/tokens',
+    aud: getTokenUrl(options),
     iss: serviceAccountKey.service_account_id,
     iat: now,
     exp: now + 3600, // 1 hour
@@ -67,82 +146,236 @@ function createJwt(serviceAccountKey) {
 
     return token;
   } catch (error) {
-    throw new Error(`Failed to create JWT: ${error.message}`);
+    throw new AuthenticationError(`Failed to create JWT: ${error.message}`, {
+      cause: error,
+    });
   }
 }
 
 /**
  * Get IAM token from Service Account Key
  * @param {Object} serviceAccountKey - Service Account authorized key
+ * @param {AuthOptions} [options] - Connection options
  * @returns {Promise<string>} IAM token
- * @throws {Error} If authentication fails
+ * @throws {CdnError} If authentication fails
  */
-async function getIAMToken(serviceAccountKey) {
-  // Validate service account key structure
-  if (!serviceAccountKey.id) {
-    throw new Error('Service account key missing "id" field');
-  }
-  if (!serviceAccountKey.service_account_id) {
-    throw new Error('Service account key missing "service_account_id" field');
+async function getIAMToken(serviceAccountKey, options = {}) {
+  const key = normalizeServiceAccountKey(serviceAccountKey);
+
+  const jwtToken = createJwt(key, options);
+  const iamToken = await exchangeJwtForIamToken(jwtToken, options);
+  maskSecret(iamToken);
+  return iamToken;
+}
+
+/**
+ * Source of IAM tokens for API requests
+ * Static tokens are returned as is. Tokens issued for a service account key
+ * are cached and re-issued shortly before they expire, or on demand after
+ * the API rejected them.
+ */
+class CredentialProvider {
+  /**
+   * Create a provider for a pre-generated IAM token
+   * @param {string} iamToken - IAM token
+   * @returns {CredentialProvider} Provider that never refreshes
+   */
+  static fromToken(iamToken) {
+    if (!iamToken || typeof iamToken !== 'string' || iamToken.trim() === '') {
+      throw new ValidationError('IAM token must be a non-empty string');
+    }
+
+    const provider = new CredentialProvider(null);
+    provider.token = iamToken.trim();
+    maskSecret(provider.token);
+    return provider;
   }
-  if (!serviceAccountKey.private_key) {
-    throw new Error('Service account key missing "private_key" field');
+
+  /**
+   * Create a provider issuing tokens for a Service Account Key
+   * The private key is normalized and masked in logs, like every issued token.
+   * @param {Object} serviceAccountKey - Service Account authorized key
+   * @param {AuthOptions} [options] - Connection options
+   * @returns {CredentialProvider} Refreshable provider
+   * @throws {CdnError} If the key is invalid
+   */
+  static fromServiceAccountKey(serviceAccountKey, options = {}) {
+    const key = normalizeServiceAccountKey(serviceAccountKey);
+
+    return new CredentialProvider(() =>
+      requestIamToken(createJwt(key, options), options)
+    );
   }
 
-  // Validate private key format
-  if (!serviceAccountKey.private_key.includes('BEGIN PRIVATE KEY')) {
-    throw new Error(
-      'Invalid private key format. Expected PEM format with "BEGIN PRIVATE KEY"'
+  /**
+   * Create a provider exchanging the job's GitHub OIDC token for a service
+   * account IAM token (workload identity federation)
+   * @param {string} serviceAccountId - Service account to impersonate
+   * @param {AuthOptions} [options] - Connection and OIDC options
+   * @returns {CredentialProvider} Refreshable provider
+   */
+  static fromGitHubOidc(serviceAccountId, options = {}) {
+    return new CredentialProvider(() =>
+      requestFederatedToken(serviceAccountId, options)
     );
   }
 
-  const jwtToken = createJwt(serviceAccountKey);
-  return await exchangeJwtForIamToken(jwtToken);
+  /**
+   * Create a provider getting tokens of the service account attached to the
+   * instance from the metadata service
+   * @param {AuthOptions} [options] - Metadata options
+   * @returns {CredentialProvider} Refreshable provider
+   */
+  static fromInstanceMetadata(options = {}) {
+    return new CredentialProvider(() => requestMetadataToken(options), {
+      refreshMarginSeconds: METADATA_REFRESH_MARGIN_SECONDS,
+    });
+  }
+
+  /**
+   * @param {Function|null} issueToken - Async function returning
+   *   { iamToken, expiresAt }, or null for a static token
+   * @param {Object} [options] - Refresh options
+   * @param {number} [options.refreshMarginSeconds=300] - Refresh this long
+   *   before the token expires
+   */
+  constructor(issueToken, options = {}) {
+    const { refreshMarginSeconds = REFRESH_MARGIN_SECONDS } = options;
+
+    this.issueToken = issueToken;
+    this.refreshMarginMs = refreshMarginSeconds * 1000;
+    this.token = null;
+    this.expiresAt = null;
+    this.pending = null;
+  }
+
+  /**
+   * Whether a rejected token can be replaced by a new one
+   * @returns {boolean}
+   */
+  get refreshable() {
+    return this.issueToken !== null;
+  }
+
+  /**
+   * Get a valid IAM token, issuing a new one if needed
+   * @returns {Promise<string>} IAM token
+   * @throws {CdnError} If authentication fails
+   */
+  async getToken() {
+    if (!this.refreshable) {
+      return this.token;
+    }
+
+    const expiring =
+      this.expiresAt !== null &&
+      Date.now() >= this.expiresAt - this.refreshMarginMs;
+    if (this.token === null || expiring) {
+      await this.refresh();
+    }
+
+    return this.token;
+  }
+
+  /**
+   * Issue a new token; concurrent calls share a single request
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = this.issueToken()
+        .then(({ iamToken, expiresAt }) => {
+          maskSecret(iamToken);
+          this.token = iamToken;
+          this.expiresAt =
+            expiresAt ?? Date.now() + DEFAULT_TOKEN_LIFETIME_SECONDS * 1000;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    await this.pending;
+  }
+
+  /**
+   * Drop a token the API rejected, so the next getToken() issues a new one
+   * A token that was already replaced is ignored.
+   * @param {string} token - Rejected token
+   */
+  invalidate(token) {
+    if (this.refreshable && token === this.token) {
+      this.token = null;
+      this.expiresAt = null;
+    }
+  }
 }
 
 /**
- * Get authentication token from either service account key or IAM token
- * @param {string|null} serviceAccountKeyJson - Service account key as JSON string
+ * Create a credential provider, trying in order: an IAM token, a service
+ * account key, GitHub OIDC federation (options.serviceAccountId) and the
+ * instance metadata service (options.useInstanceMetadata)
+ * @param {string|null} serviceAccountKeyJson - Service account key as JSON,
+ *   base64-encoded JSON or a path to a key file
  * @param {string|null} iamToken - Pre-generated IAM token
- * @returns {Promise<string>} IAM token
- * @throws {Error} If authentication fails or no credentials provided
+ * @param {AuthOptions} [options] - Connection options
+ * @returns {CredentialProvider} Credential provider
+ * @throws {CdnError} If credentials are invalid or missing
  */
-async function getAuthToken(serviceAccountKeyJson, iamToken) {
+function createCredentialProvider(
+  serviceAccountKeyJson,
+  iamToken,
+  options = {}
+) {
   // If IAM token is provided directly, use it
   if (iamToken) {
-    if (typeof iamToken !== 'string' || iamToken.trim() === '') {
-      throw new Error('IAM token must be a non-empty string');
-    }
-    return iamToken.trim();
+    return CredentialProvider.fromToken(iamToken);
+  }
+
+  // Keyless authentication when only a service account ID is given
+  if (!serviceAccountKeyJson && options.serviceAccountId) {
+    return CredentialProvider.fromGitHubOidc(options.serviceAccountId, options);
+  }
+
+  // Service account attached to the runner instance
+  if (!serviceAccountKeyJson && options.useInstanceMetadata) {
+    return CredentialProvider.fromInstanceMetadata(options);
   }
 
   // Otherwise, we need service account key
   if (!serviceAccountKeyJson) {
-    throw new Error(
-      'Either service-account-key or iam-token must be provided. ' +
+    throw new ValidationError(
+      'One of service-account-key, iam-token or service-account-id must be provided, ' +
+        'or use-instance-metadata must be enabled. ' +
         'See action documentation for authentication setup.'
     );
   }
 
-  // Parse and validate service account key
-  let serviceAccountKey;
-  try {
-    serviceAccountKey = JSON.parse(serviceAccountKeyJson);
-  } catch (error) {
-    throw new Error(
-      `Invalid service account key JSON format: ${error.message}. ` +
-        'Ensure the key is properly formatted JSON.'
-    );
-  }
-
-  if (typeof serviceAccountKey !== 'object' || serviceAccountKey === null) {
-    throw new Error('Service account key must be a JSON object');
-  }
+  const serviceAccountKey = parseServiceAccountKey(serviceAccountKeyJson);
+  return CredentialProvider.fromServiceAccountKey(serviceAccountKey, options);
+}
 
-  return await getIAMToken(serviceAccountKey);
+/**
+ * Get authentication token from an IAM token, a service account key, GitHub
+ * OIDC federation or the instance metadata service
+ * @param {string|null} serviceAccountKeyJson - Service account key as JSON,
+ *   base64-encoded JSON or a path to a key file
+ * @param {string|null} iamToken - Pre-generated IAM token
+ * @param {AuthOptions} [options] - Connection options
+ * @returns {Promise<string>} IAM token
+ * @throws {CdnError} If authentication fails or no credentials provided
+ */
+async function getAuthToken(serviceAccountKeyJson, iamToken, options = {}) {
+  return await createCredentialProvider(
+    serviceAccountKeyJson,
+    iamToken,
+    options
+  ).getToken();
 }
 
 module.exports = {
+  CredentialProvider,
+  createCredentialProvider,
   getAuthToken,
   getIAMToken,
   createJwt,
@@ -4,8 +4,93 @@
  */
 
 const axios = require('axios');
-const core = require('@actions/core');
-const { retryWithBackoff } = require('./retry');
+const { retryWithBackoff, sleep } = require('./retry');
+const { mapWithConcurrency } = require('./concurrency');
+const { resolveEndpoints } = require('./endpoints');
+const { createTransport } = require('./http');
+const { RateLimiter } = require('./rate-limiter');
+const { findResourceByHostname } = require('./resources');
+const { CredentialProvider } = require('./auth');
+const { logger } = require('./logger');
+const {
+  CdnError,
+  ValidationError,
+  ApiError,
+  OperationFailedError,
+  OperationTimeoutError,
+  CancelledError,
+  fromHttpError,
+} = require('./errors');
+
+// Maximum number of paths in a single purge or prefetch request
+const BATCH_SIZE = 10;
+
+/**
+ * Result of a single purge or prefetch batch
+ * @typedef {Object} PurgeResult
+ * @property {number} batch - 1-based batch number
+ * @property {string} operationId - Yandex Cloud operation ID
+ * @property {string} status - DONE, ERROR, or IN_PROGRESS (not waited or timed out)
+ * @property {string[]} paths - Paths of this batch (empty = full purge)
+ * @property {string} startedAt - ISO timestamp when the batch was submitted
+ * @property {string|null} finishedAt - ISO timestamp when the operation finished
+ * @property {number|null} durationMs - Time from submission to completion
+ * @property {string} [error] - Error message for failed operations
+ */
+
+/**
+ * Retry policy for purge and prefetch requests
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxAttempts=12] - Maximum number of attempts per request
+ * @property {number} [initialDelay=10000] - Initial delay in ms
+ * @property {number} [maxDelay=120000] - Maximum delay in ms
+ * @property {string} [jitter='full'] - Jitter strategy: full, decorrelated or none
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 12,
+  initialDelay: 10000,
+  maxDelay: 120000,
+  factor: 1.5,
+  jitter: 'full',
+};
+
+/**
+ * Operation polling schedule: polls start fast and back off, since most
+ * operations finish within seconds but large purges take minutes
+ * @typedef {Object} PollingOptions
+ * @property {number} [initialInterval=1000] - First polling interval in ms
+ * @property {number} [maxInterval=15000] - Maximum polling interval in ms
+ * @property {number} [factor=1.5] - Interval growth factor
+ */
+
+const DEFAULT_POLLING_OPTIONS = {
+  initialInterval: 1000,
+  maxInterval: 15000,
+  factor: 1.5,
+};
+
+/**
+ * Follow an abort signal with one whose reason is always a CancelledError
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {AbortSignal} Derived signal
+ */
+function toCancellationSignal(signal) {
+  const controller = new AbortController();
+  const forward = () =>
+    controller.abort(
+      signal.reason instanceof CancelledError
+        ? signal.reason
+        : new CancelledError('Cancelled', { cause: signal.reason })
+    );
+
+  if (signal.aborted) {
+    forward();
+  } else {
+    signal.addEventListener('abort', forward, { once: true });
+  }
+  return controller.signal;
+}
 
 /**
  * Yandex CDN Client
@@ -13,54 +98,217 @@ const { retryWithBackoff } = require('./retry');
 class YandexCDNClient {
   /**
    * Create a new Yandex CDN Client
-   * @param {string} iamToken - Yandex Cloud IAM token
+   * A token is requested from the credential provider for every request; a
+   * request rejected with 401 is retried once with a new token when the
+   * provider can issue one.
+   * @param {string|CredentialProvider} credentials - Yandex Cloud IAM token or
+   *   credential provider
    * @param {string} [endpoint='https://cdn.api.cloud.yandex.net'] - API endpoint
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.operationEndpoint] - Operations API endpoint
+   *   (default: derived from endpoint, see resolveEndpoints)
+   * @param {string} [options.caFile] - Extra CA bundle to trust
+   * @param {RetryOptions} [options.retry] - Retry policy for cache requests
+   *   and operation polling
+   * @param {PollingOptions} [options.polling] - Operation polling schedule
+   * @param {import('./rate-limiter').RateLimitOptions} [options.rateLimit] -
+   *   Space purge and prefetch requests per resource (default: no limit)
+   * @param {AbortSignal} [options.signal] - Cancels in-flight requests, retries
+   *   and waits with a CancelledError; no new batches are submitted afterwards.
+   *   cancelOperation() is not affected
    */
-  constructor(iamToken, endpoint = 'https://cdn.api.cloud.yandex.net') {
-    if (!iamToken || typeof iamToken !== 'string') {
-      throw new Error('IAM token is required and must be a string');
+  constructor(
+    credentials,
+    endpoint = 'https://cdn.api.cloud.yandex.net',
+    options = {}
+  ) {
+    if (credentials instanceof CredentialProvider) {
+      this.credentials = credentials;
+    } else if (credentials && typeof credentials === 'string') {
+      this.credentials = CredentialProvider.fromToken(credentials);
+    } else {
+      throw new ValidationError('IAM token or credential provider is required');
     }
 
-    this.iamToken = iamToken;
-    this.endpoint = endpoint;
+    const endpoints = resolveEndpoints({
+      endpoint,
+      operationEndpoint: options.operationEndpoint,
+    });
+
+    this.endpoint = endpoints.cdn;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    this.pollingOptions = { ...DEFAULT_POLLING_OPTIONS, ...options.polling };
+    this.signal = options.signal ? toCancellationSignal(options.signal) : null;
+    this.rateLimiter = options.rateLimit
+      ? new RateLimiter(options.rateLimit)
+      : null;
+    this.operationEndpoint = endpoints.operation;
     this.cdnClient = axios.create({
-      baseURL: endpoint,
+      baseURL: endpoints.cdn,
       headers: {
-        Authorization: `Bearer ${iamToken}`,
         'Content-Type': 'application/json',
       },
       timeout: 30000,
+      ...createTransport(endpoints.cdn, options),
     });
 
     // Separate client for Operations API
     this.operationClient = axios.create({
-      baseURL: 'https://operation.api.cloud.yandex.net',
+      baseURL: endpoints.operation,
       headers: {
-        Authorization: `Bearer ${iamToken}`,
         'Content-Type': 'application/json',
       },
       timeout: 30000,
+      ...createTransport(endpoints.operation, options),
     });
+
+    this.authorize(this.cdnClient);
+    this.authorize(this.operationClient);
   }
 
   /**
-   * Find CDN resource by its CNAME using the List API with pagination
-   * @param {string} resourceCname - CNAME of the resource to search for
+   * Add credential handling to an axios instance
+   * @param {import('axios').AxiosInstance} instance - axios instance
+   */
+  authorize(instance) {
+    instance.interceptors.request.use(async config => {
+      if (config.signal === undefined && this.signal) {
+        config.signal = this.signal;
+      }
+      config.authToken = await this.credentials.getToken();
+      config.headers.Authorization = `Bearer ${config.authToken}`;
+      return config;
+    });
+
+    instance.interceptors.response.use(undefined, async error => {
+      const config = error.config;
+      if (config?.signal?.aborted) {
+        throw config.signal.reason;
+      }
+      if (
+        error.response?.status !== 401 ||
+        !config ||
+        config.authRetried ||
+        !this.credentials.refreshable
+      ) {
+        throw error;
+      }
+
+      logger.warning('IAM token was rejected (401), re-authenticating');
+      this.credentials.invalidate(config.authToken);
+      config.authRetried = true;
+      return instance.request(config);
+    });
+  }
+
+  /**
+   * Split paths into request-sized batches
+   * @param {string[]} paths - Paths to split
+   * @returns {string[][]} Batches of at most 10 paths
+   */
+  static splitIntoBatches(paths) {
+    const batches = [];
+    for (let i = 0; i < paths.length; i += BATCH_SIZE) {
+      batches.push(paths.slice(i, i + BATCH_SIZE));
+    }
+    return batches;
+  }
+
+  /**
+   * Get CDN resource by its ID
+   * Transient failures are retried like purge requests.
+   * @param {string} resourceId - CDN Resource ID
+   * @param {Object} [options] - Request options
+   * @param {number} [options.deadline] - Timestamp in ms retries must stay within
+   * @returns {Promise<Object|null>} Resource object or null if not found
+   * @throws {CdnError} If the request fails
+   */
+  async getResource(resourceId, { deadline } = {}) {
+    if (!resourceId || typeof resourceId !== 'string') {
+      throw new ValidationError('Resource ID is required and must be a string');
+    }
+
+    try {
+      const response = await retryWithBackoff(
+        () => this.cdnClient.get(`/cdn/v1/resources/${resourceId}`),
+        {
+          ...this.retryOptions,
+          deadline,
+          signal: this.signal,
+          onRetry: ({ attempt, maxAttempts, delay, error }) => {
+            const statusCode = error.response?.status || 'N/A';
+            logger.warning(
+              `Getting CDN resource ${resourceId} failed, retry attempt ` +
+                `${attempt}/${maxAttempts} after ${(delay / 1000).toFixed(1)}s. ` +
+                `Error: ${error.message} (HTTP ${statusCode})`
+            );
+          },
+        }
+      );
+      return response.data || null;
+    } catch (error) {
+      if (error instanceof CdnError) {
+        throw error;
+      }
+      if (error.response) {
+        const status = error.response.status;
+        if (status === 404) {
+          return null;
+        }
+        const message =
+          error.response.data?.message ||
+          error.response.statusText ||
+          'Unknown error';
+        throw fromHttpError(
+          `Failed to get CDN resource: ${status} - ${message}. Resource: ${resourceId}`,
+          error,
+          { resourceId }
+        );
+      }
+      throw fromHttpError(
+        `Failed to get CDN resource: ${error.message}`,
+        error,
+        {
+          resourceId,
+        }
+      );
+    }
+  }
+
+  /**
+   * Find CDN resource by one of its hostnames: the CNAME or a secondary
+   * hostname, compared without case and trailing dots
+   * @param {string} resourceCname - Hostname of the resource to search for
    * @param {string} folderId - Yandex Cloud Folder ID to list resources in
    * @returns {Promise<Object|null>} Matching resource object or null if not found
-   * @throws {Error} If the list request fails
+   * @throws {CdnError} If the list request fails
    */
   async getResourceByCname(resourceCname, folderId) {
     if (!resourceCname || typeof resourceCname !== 'string') {
-      throw new Error('resourceCname is required and must be a string');
+      throw new ValidationError(
+        'resourceCname is required and must be a string'
+      );
     }
+
+    const resources = await this.listResources(folderId);
+    return findResourceByHostname(resources, resourceCname);
+  }
+
+  /**
+   * List all CDN resources of a folder, following pagination
+   * @param {string} folderId - Yandex Cloud Folder ID to list resources in
+   * @returns {Promise<Object[]>} Resource objects
+   * @throws {CdnError} If the list request fails
+   */
+  async listResources(folderId) {
     if (!folderId || typeof folderId !== 'string') {
-      throw new Error('folderId is required and must be a string');
+      throw new ValidationError('folderId is required and must be a string');
     }
 
     const url = '/cdn/v1/resources';
     const pageSize = 1000;
     let pageToken = undefined;
+    const resources = [];
 
     while (true) {
       try {
@@ -72,12 +320,7 @@ class YandexCDNClient {
           },
         });
 
-        const resources = response.data?.resources || [];
-        for (const resource of resources) {
-          if (resource?.cname === resourceCname) {
-            return resource;
-          }
-        }
+        resources.push(...(response.data?.resources || []).filter(Boolean));
 
         const nextPageToken = response.data?.nextPageToken;
         if (
@@ -85,21 +328,28 @@ class YandexCDNClient {
           typeof nextPageToken !== 'string' ||
           nextPageToken.length === 0
         ) {
-          return null;
+          return resources;
         }
         pageToken = nextPageToken;
       } catch (error) {
+        if (error instanceof CdnError) {
+          throw error;
+        }
         if (error.response) {
           const status = error.response.status;
           const message =
             error.response.data?.message ||
             error.response.statusText ||
             'Unknown error';
-          throw new Error(
-            `Failed to list CDN resources: ${status} - ${message}. Folder: ${folderId}`
+          throw fromHttpError(
+            `Failed to list CDN resources: ${status} - ${message}. Folder: ${folderId}`,
+            error
           );
         }
-        throw new Error(`Failed to list CDN resources: ${error.message}`);
+        throw fromHttpError(
+          `Failed to list CDN resources: ${error.message}`,
+          error
+        );
       }
     }
   }
@@ -107,136 +357,343 @@ class YandexCDNClient {
   /**
    * Purge CDN cache for specific paths or all cache
    * @param {string} resourceId - CDN Resource ID
-   * @param {string[]} [paths=[]] - Array of paths to purge (empty = full purge)
-   * @param {{ wait?: boolean, timeoutSeconds?: number }} [options] - Waiting options
-   * @returns {Promise<void|null>} null when no paths provided, otherwise void
-   * @throws {Error} If purge request fails
+   * @param {string[]} [paths=[]] - Array of paths to purge (empty = full purge, see `fullPurge`)
+   * @param {{ wait?: boolean, timeoutSeconds?: number, fullPurge?: boolean, concurrency?: number }} [options] -
+   *   Purge options. `fullPurge` must be true for an empty paths array to purge all cache.
+   *   `concurrency` limits how many batches are submitted in parallel (default: 5)
+   * @returns {Promise<PurgeResult[]>} One result per submitted batch
+   * @throws {CdnError} If purge request fails or a full purge was not requested explicitly.
+   *   Errors raised after at least one batch was submitted carry the results so far
+   *   in `error.operations`
    */
   async purgeCache(resourceId, paths = [], options = {}) {
     if (!resourceId || typeof resourceId !== 'string') {
-      throw new Error('Resource ID is required and must be a string');
+      throw new ValidationError('Resource ID is required and must be a string');
     }
 
-    const url = `/cdn/v1/cache/${resourceId}:purge`;
-    const wait = options?.wait;
-    const timeoutSeconds = options?.timeoutSeconds;
+    const fullPurge = options?.fullPurge === true;
 
-    // If paths array is empty, only log and return null (no full purge)
-    if (paths.length === 0) {
-      core.info(`Purging CDN cache for resource: ${resourceId}`);
-      core.info('Purging ALL cache (full purge - no specific paths)');
-      return;
+    if (paths.length === 0 && !fullPurge) {
+      throw new ValidationError(
+        'No paths provided for purge. Full purge requires the fullPurge option.',
+        { resourceId }
+      );
+    }
+    if (paths.length > 0 && fullPurge) {
+      throw new ValidationError(
+        'fullPurge cannot be combined with specific paths',
+        { resourceId }
+      );
     }
 
-    let i = 0;
-    while (true) {
-      const batch = paths.slice(10 * i, 10 * (i + 1));
-      if (batch.length === 0) {
-        break;
-      }
+    // An empty paths list in the request body purges all cache
+    const batches = fullPurge ? [[]] : YandexCDNClient.splitIntoBatches(paths);
 
-      // Per-batch logging
-      core.startGroup(`Cache Purge Batch ${i + 1}`);
-      core.info(`Purging CDN cache for resource: ${resourceId}`);
-      core.info(`Paths to purge (${batch.length}): ${JSON.stringify(batch)}`);
+    return await this.runCacheOperation('purge', resourceId, batches, {
+      wait: options?.wait,
+      timeoutSeconds: options?.timeoutSeconds,
+      concurrency: options?.concurrency,
+    });
+  }
 
-      const requestBody = { paths: batch };
-      try {
-        const response = await retryWithBackoff(
-          async () => {
-            return await this.cdnClient.post(url, requestBody);
-          },
-          {
-            maxAttempts: 12,
-            initialDelay: 10000,
-            maxDelay: 120000,
-            factor: 1.5,
-            onRetry: ({ attempt, maxAttempts, delay, error }) => {
-              const statusCode = error.response?.status || 'N/A';
-              const errorMsg =
-                error.response?.data?.message ||
-                error.message ||
-                'Unknown error';
-              core.warning(
-                `Retry attempt ${attempt}/${maxAttempts} after ${delay / 1000}s. ` +
-                  `Error: ${errorMsg} (HTTP ${statusCode})`
-              );
-            },
-          }
+  /**
+   * Warm CDN cache by prefetching paths from the origin
+   * Wildcard paths cannot be prefetched and are skipped.
+   * @param {string} resourceId - CDN Resource ID
+   * @param {string[]} paths - Array of paths to prefetch
+   * @param {{ wait?: boolean, timeoutSeconds?: number, concurrency?: number }} [options] -
+   *   Waiting and batch concurrency options, as for purgeCache
+   * @returns {Promise<PurgeResult[]>} One result per submitted batch
+   * @throws {CdnError} If prefetch request fails. Errors raised after at least one
+   *   batch was submitted carry the results so far in `error.operations`
+   */
+  async prefetch(resourceId, paths, options = {}) {
+    if (!resourceId || typeof resourceId !== 'string') {
+      throw new ValidationError('Resource ID is required and must be a string');
+    }
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new ValidationError('At least one path is required for prefetch', {
+        resourceId,
+      });
+    }
+
+    const wildcards = paths.filter(path => path.includes('*'));
+    if (wildcards.length > 0) {
+      logger.warning(
+        `Skipping wildcard paths that cannot be prefetched: ${JSON.stringify(wildcards)}`
+      );
+    }
+
+    const batches = YandexCDNClient.splitIntoBatches(
+      paths.filter(path => !path.includes('*'))
+    );
+
+    return await this.runCacheOperation('prefetch', resourceId, batches, {
+      wait: options?.wait,
+      timeoutSeconds: options?.timeoutSeconds,
+      concurrency: options?.concurrency,
+    });
+  }
+
+  /**
+   * Submit cache operation batches, up to `concurrency` at a time, then
+   * optionally wait for all resulting operations together
+   * @param {'purge'|'prefetch'} action - Cache API method
+   * @param {string} resourceId - CDN Resource ID
+   * @param {string[][]} batches - Path batches (an empty batch purges all cache)
+   * @param {{ wait?: boolean, timeoutSeconds?: number, concurrency?: number }} options -
+   *   Waiting options. `timeoutSeconds` applies to the whole operation, not to each batch,
+   *   and also bounds request retries
+   * @returns {Promise<PurgeResult[]>} One result per submitted batch, in batch order
+   * @throws {CdnError} If a request or operation fails, with `error.operations` set
+   */
+  async runCacheOperation(action, resourceId, batches, options) {
+    const { wait, timeoutSeconds = 900, concurrency = 5 } = options;
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    const results = [];
+
+    if (this.rateLimiter && batches.length > this.rateLimiter.burst) {
+      const { requests, perSeconds } = this.rateLimiter;
+      logger.info(
+        `Rate limit: ${requests} request(s) per ${perSeconds}s per resource. ` +
+          `Sending ${batches.length} ${action} batches takes about ` +
+          `${Math.ceil(this.rateLimiter.estimate(batches.length) / 1000)}s`
+      );
+    }
+
+    try {
+      await mapWithConcurrency(batches, concurrency, async (batch, i) => {
+        results.push(
+          await this.submitBatch(action, resourceId, batch, i + 1, deadline)
         );
+      });
+    } catch (error) {
+      results.sort((a, b) => a.batch - b.batch);
+      error.operations = results;
+      throw error;
+    }
+    results.sort((a, b) => a.batch - b.batch);
 
-        if (!response.data || !response.data.id) {
-          throw new Error(
-            'Invalid response from CDN purge API: missing operation ID'
-          );
-        }
+    if (!wait || results.length === 0) {
+      return results;
+    }
 
-        core.info(`Cache purge initiated. Operation ID: ${response.data.id}`);
-        if (response.data.metadata) {
-          core.debug(
-            `Operation metadata (start): ${JSON.stringify(response.data.metadata)}`
-          );
-        }
-        if (wait) {
-          core.info(
-            `Waiting for batch operation to complete... Timeout: ${timeoutSeconds} seconds`
-          );
+    const remainingSeconds = Math.max(
+      1,
+      Math.ceil((deadline - Date.now()) / 1000)
+    );
+    logger.info(
+      `Waiting for ${results.length} ${action} operation(s) to complete... ` +
+        `Timeout: ${remainingSeconds} seconds`
+    );
+
+    const outcomes = await Promise.allSettled(
+      results.map(async result => {
+        try {
           const finalOperation = await this.waitForOperation(
-            response.data.id,
-            timeoutSeconds
+            result.operationId,
+            remainingSeconds
           );
-          core.info('Batch operation completed successfully');
           if (finalOperation?.metadata) {
-            core.debug(
+            logger.debug(
               `Operation metadata (final): ${JSON.stringify(finalOperation.metadata)}`
             );
           }
+          result.status = 'DONE';
+        } catch (error) {
+          // Timed out and cancelled operations may still complete
+          if (
+            !(error instanceof OperationTimeoutError) &&
+            !(error instanceof CancelledError)
+          ) {
+            result.status = 'ERROR';
+            result.error = error.message;
+          }
+          throw error;
+        } finally {
+          result.finishedAt = new Date().toISOString();
+          result.durationMs =
+            Date.parse(result.finishedAt) - Date.parse(result.startedAt);
         }
-      } catch (error) {
-        if (error.response) {
-          const status = error.response.status;
-          const message =
-            error.response.data?.message || error.response.statusText;
+      })
+    );
 
-          if (status === 404) {
-            throw new Error(
-              `CDN Resource not found: ${resourceId}. ` +
-                'Please verify the resource ID is correct.'
-            );
-          } else if (status === 403) {
-            throw new Error(
-              `Permission denied for resource: ${resourceId}. ` +
-                'Ensure the service account has "cdn.editor" role or higher.'
-            );
-          } else if (status === 401) {
-            throw new Error(
-              'Authentication failed. IAM token may be expired or invalid.'
-            );
-          } else {
-            throw new Error(
-              `CDN purge failed: ${status} - ${message}. Resource: ${resourceId}`
+    const failure = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failure) {
+      failure.reason.operations = results;
+      throw failure.reason;
+    }
+
+    logger.info(`All ${action} operations completed successfully`);
+    return results;
+  }
+
+  /**
+   * Wait for the rate limiter to allow a request for the resource
+   * @param {string} resourceId - CDN Resource ID
+   * @param {string} label - Batch label for log messages
+   * @param {number} [deadline] - Timestamp in ms the request must be sent by
+   * @returns {Promise<void>}
+   * @throws {ApiError} If the rate limit does not allow the request before the
+   *   deadline
+   */
+  async waitForRateLimit(resourceId, label, deadline) {
+    if (!this.rateLimiter) {
+      return;
+    }
+
+    const allowed = await this.rateLimiter.acquire(resourceId, {
+      deadline,
+      signal: this.signal,
+      onWait: delay =>
+        logger.info(
+          `${label}: waiting ${(delay / 1000).toFixed(1)}s for the rate limit`
+        ),
+    });
+    if (!allowed) {
+      throw new ApiError(
+        `${label} cannot be sent before the timeout because of the rate ` +
+          `limit. Increase timeout or the rate limit. Resource: ${resourceId}`,
+        { resourceId }
+      );
+    }
+  }
+
+  /**
+   * Submit a single cache operation batch
+   * @param {'purge'|'prefetch'} action - Cache API method
+   * @param {string} resourceId - CDN Resource ID
+   * @param {string[]} batch - Paths (empty = full purge)
+   * @param {number} batchNumber - 1-based batch number
+   * @param {number} [deadline] - Timestamp in ms retries must stay within
+   * @returns {Promise<PurgeResult>} Result of the submitted batch
+   * @throws {CdnError} If the request fails
+   */
+  async submitBatch(action, resourceId, batch, batchNumber, deadline) {
+    this.signal?.throwIfAborted();
+    const url = `/cdn/v1/cache/${resourceId}:${action}`;
+    const title = action.charAt(0).toUpperCase() + action.slice(1);
+    const fullPurge = batch.length === 0;
+    const label = fullPurge
+      ? 'Full cache purge'
+      : `Cache ${action} batch ${batchNumber}`;
+
+    logger.info(
+      fullPurge
+        ? `${label} for resource: ${resourceId} (ALL cache - no specific paths)`
+        : `${label} for resource: ${resourceId}. ` +
+            `Paths (${batch.length}): ${JSON.stringify(batch)}`
+    );
+
+    const requestBody = { paths: batch };
+    let startTime = null;
+    try {
+      const response = await retryWithBackoff(
+        async () => {
+          await this.waitForRateLimit(resourceId, label, deadline);
+          // Cancellation is checked before each batch only: an aborted POST
+          // may still start an operation whose ID would then be lost
+          this.signal?.throwIfAborted();
+          startTime = startTime ?? Date.now();
+          return await this.cdnClient.post(url, requestBody, { signal: null });
+        },
+        {
+          ...this.retryOptions,
+          deadline,
+          signal: this.signal,
+          onRetry: ({ attempt, maxAttempts, delay, error }) => {
+            const statusCode = error.response?.status || 'N/A';
+            const errorMsg =
+              error.response?.data?.message || error.message || 'Unknown error';
+            logger.warning(
+              `${label}: retry attempt ${attempt}/${maxAttempts} after ${(delay / 1000).toFixed(1)}s. ` +
+                `Error: ${errorMsg} (HTTP ${statusCode})`
             );
-          }
+          },
         }
-        throw error;
+      );
+
+      if (!response.data || !response.data.id) {
+        throw new ApiError(
+          `Invalid response from CDN ${action} API: missing operation ID`,
+          { resourceId }
+        );
       }
 
-      i++;
-      core.endGroup();
-    }
+      logger.info(
+        `${title} initiated (${label}). Operation ID: ${response.data.id}`
+      );
+      if (response.data.metadata) {
+        logger.debug(
+          `Operation metadata (start): ${JSON.stringify(response.data.metadata)}`
+        );
+      }
 
-    return;
+      return {
+        batch: batchNumber,
+        operationId: response.data.id,
+        status: 'IN_PROGRESS',
+        paths: batch,
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: null,
+        durationMs: null,
+      };
+    } catch (error) {
+      if (error.response) {
+        const status = error.response.status;
+        const message =
+          error.response.data?.message || error.response.statusText;
+
+        if (status === 404) {
+          throw fromHttpError(
+            `CDN Resource not found: ${resourceId}. ` +
+              'Please verify the resource ID is correct.',
+            error,
+            { resourceId }
+          );
+        } else if (status === 403) {
+          throw fromHttpError(
+            `Permission denied for resource: ${resourceId}. ` +
+              'Ensure the service account has "cdn.editor" role or higher.',
+            error,
+            { resourceId }
+          );
+        } else if (status === 401) {
+          throw fromHttpError(
+            'Authentication failed. IAM token may be expired or invalid.',
+            error,
+            { resourceId }
+          );
+        } else {
+          throw fromHttpError(
+            `CDN ${action} failed: ${status} - ${message}. Resource: ${resourceId}`,
+            error,
+            { resourceId }
+          );
+        }
+      }
+      if (error instanceof CdnError) {
+        throw error;
+      }
+      throw fromHttpError(
+        `CDN ${action} failed: ${error.message}. Resource: ${resourceId}`,
+        error,
+        { resourceId }
+      );
+    }
   }
 
   /**
    * Get operation status
    * @param {string} operationId - Operation ID
    * @returns {Promise<Object>} Operation status object
-   * @throws {Error} If status check fails
+   * @throws {CdnError} If status check fails
    */
   async getOperationStatus(operationId) {
     if (!operationId || typeof operationId !== 'string') {
-      throw new Error('Operation ID is required and must be a string');
+      throw new ValidationError(
+        'Operation ID is required and must be a string'
+      );
     }
 
     const url = `/operations/${operationId}`;
@@ -245,94 +702,193 @@ class YandexCDNClient {
       const response = await this.operationClient.get(url);
 
       if (!response.data) {
-        throw new Error('Invalid response from Operations API');
+        throw new ApiError('Invalid response from Operations API', {
+          operationId,
+        });
       }
 
       return response.data;
     } catch (error) {
+      if (error instanceof CdnError) {
+        throw error;
+      }
       if (error.response) {
         const status = error.response.status;
         const message =
           error.response.data?.message || error.response.statusText;
 
         if (status === 404) {
-          throw new Error(`Operation not found: ${operationId}`);
+          throw fromHttpError(`Operation not found: ${operationId}`, error, {
+            operationId,
+          });
         } else if (status === 401) {
-          throw new Error(
-            'Authentication failed when checking operation status'
+          throw fromHttpError(
+            'Authentication failed when checking operation status',
+            error,
+            { operationId }
           );
         } else {
-          throw new Error(
-            `Failed to get operation status: ${status} - ${message}`
+          throw fromHttpError(
+            `Failed to get operation status: ${status} - ${message}`,
+            error,
+            { operationId }
           );
         }
       }
-      throw new Error(`Failed to get operation status: ${error.message}`);
+      throw fromHttpError(
+        `Failed to get operation status: ${error.message}`,
+        error,
+        { operationId }
+      );
+    }
+  }
+
+  /**
+   * Request cancellation of an operation
+   * Runs even after the client's abort signal fired, so pending operations can
+   * be cancelled on shutdown. Not every operation can be cancelled.
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<Object>} Operation object after the request
+   * @throws {CdnError} If the cancel request fails
+   */
+  async cancelOperation(operationId) {
+    if (!operationId || typeof operationId !== 'string') {
+      throw new ValidationError(
+        'Operation ID is required and must be a string'
+      );
+    }
+
+    try {
+      const response = await this.operationClient.post(
+        `/operations/${operationId}:cancel`,
+        {},
+        // Usually sent during shutdown, when there is little time left
+        { signal: null, timeout: 5000 }
+      );
+      return response.data || null;
+    } catch (error) {
+      const message =
+        error.response?.data?.message ||
+        error.response?.statusText ||
+        error.message;
+      throw fromHttpError(
+        `Failed to cancel operation ${operationId}: ${message}`,
+        error,
+        { operationId }
+      );
     }
   }
 
   /**
    * Wait for operation to complete
+   * Polling starts fast and backs off (see PollingOptions). Transient polling
+   * failures (throttling, 5xx, network errors) are retried within the timeout
+   * and do not fail the operation; when the timeout is reached, the last known
+   * progress is reported.
    * @param {string} operationId - Operation ID
    * @param {number} [timeoutSeconds=900] - Maximum wait time in seconds (default: 15 minutes)
    * @returns {Promise<Object>} Final operation object
-   * @throws {Error} If operation fails or times out
+   * @throws {OperationFailedError|OperationTimeoutError|CdnError} If operation
+   *   fails or times out. The last operation object seen is available as
+   *   `error.operation`
    */
   async waitForOperation(operationId, timeoutSeconds = 900) {
     const startTime = Date.now();
-    const timeoutMs = timeoutSeconds * 1000;
-    const pollInterval = 5000; // 5 seconds between checks
+    const deadline = startTime + timeoutSeconds * 1000;
+    const { initialInterval, maxInterval, factor } = this.pollingOptions;
 
-    core.info(`Waiting for operation ${operationId} to complete...`);
-    core.info(
+    logger.info(`Waiting for operation ${operationId} to complete...`);
+    logger.info(
       `Timeout: ${timeoutSeconds} seconds (${timeoutSeconds / 60} minutes)`
     );
 
+    let interval = initialInterval;
     let lastProgress = null;
+    let lastOperation = null;
+
+    // The operation may still complete: report what is known so far
+    const stopWaiting = reason => {
+      const details = [reason, `Operation ID: ${operationId}.`];
+      if (lastProgress !== null) {
+        details.push(`Last known progress: ${lastProgress}%.`);
+      }
+      details.push('Cache purge may still complete in the background.');
+      return new OperationTimeoutError(details.join(' '), lastOperation, {
+        operationId,
+      });
+    };
 
     while (true) {
-      const elapsed = Date.now() - startTime;
+      this.signal?.throwIfAborted();
+      if (Date.now() >= deadline) {
+        throw stopWaiting(`Operation timeout after ${timeoutSeconds} seconds.`);
+      }
 
-      if (elapsed >= timeoutMs) {
-        throw new Error(
-          `Operation timeout after ${timeoutSeconds} seconds. ` +
-            `Operation ID: ${operationId}. ` +
-            'Cache purge may still complete in the background.'
+      let operation;
+      try {
+        operation = await retryWithBackoff(
+          () => this.getOperationStatus(operationId),
+          {
+            ...this.retryOptions,
+            deadline,
+            signal: this.signal,
+            onRetry: ({ attempt, maxAttempts, delay, error }) => {
+              logger.warning(
+                `Polling operation ${operationId} failed, retry attempt ` +
+                  `${attempt}/${maxAttempts} after ${(delay / 1000).toFixed(1)}s. ` +
+                  `Error: ${error.message}`
+              );
+            },
+          }
         );
+      } catch (error) {
+        // Transient failures that outlast the retries end the wait like a
+        // timeout: the operation itself has not failed
+        if (error.retryable) {
+          throw stopWaiting(
+            `Could not get operation status: ${error.message}.`
+          );
+        }
+        throw error;
       }
-
-      const operation = await this.getOperationStatus(operationId);
+      lastOperation = operation;
 
       // Check if operation is done
       if (operation.done === true) {
         if (operation.error) {
           const errorCode = operation.error.code || 'UNKNOWN';
           const errorMessage = operation.error.message || 'No error message';
-          throw new Error(
+          throw new OperationFailedError(
             `Operation failed: ${errorMessage} (code: ${errorCode}). ` +
-              `Operation ID: ${operationId}`
+              `Operation ID: ${operationId}`,
+            operation,
+            { operationId }
           );
         }
 
-        core.info('Operation completed successfully!');
+        logger.info('Operation completed successfully!');
         return operation;
       }
 
       // Log progress
       const progress = operation.metadata?.progress;
-      const elapsedSeconds = Math.floor(elapsed / 1000);
+      const elapsedSeconds = Math.floor((Date.now() - startTime) / 1000);
 
       if (progress && progress !== lastProgress) {
-        core.info(
+        logger.info(
           `Operation in progress: ${progress}% (${elapsedSeconds}s elapsed)`
         );
         lastProgress = progress;
       } else {
-        core.info(`Operation in progress... (${elapsedSeconds}s elapsed)`);
+        logger.info(`Operation in progress... (${elapsedSeconds}s elapsed)`);
       }
 
-      // Wait before next check
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      // Wait before next check, without sleeping past the deadline
+      await sleep(
+        Math.max(0, Math.min(interval, deadline - Date.now())),
+        this.signal
+      );
+      interval = Math.min(interval * factor, maxInterval);
     }
   }
 }
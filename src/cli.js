@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * yandex-cdn-invalidate command-line entry point
+ * Runs the same purge flow as the action outside GitHub Actions (GitLab CI,
+ * Jenkins, local shells). Every action input is available as a --flag and as
+ * a YANDEX_CDN_* environment variable.
+ * @module cli
+ */
+
+const { parseArgs } = require('util');
+const { run } = require('./index');
+const { setLogger, createConsoleLogger } = require('./logger');
+const { version } = require('../package.json');
+
+/**
+ * Action inputs with their defaults; boolean inputs also get a --no-<name> flag
+ * @type {{ name: string, default?: string, boolean?: boolean, fallbackEnv?: string, description: string }[]}
+ */
+const INPUTS = [
+  { name: 'resource-id', description: 'CDN resource ID(s), comma-separated' },
+  {
+    name: 'resource-cname',
+    description: 'CDN resource CNAME(s) or secondary hostname(s)',
+  },
+  { name: 'resources', description: 'JSON array of resources with paths' },
+  {
+    name: 'resource-concurrency',
+    default: '1',
+    description: 'Resources purged in parallel',
+  },
+  { name: 'folder-id', description: 'Folder ID for CNAME lookup' },
+  {
+    name: 'skip-not-found',
+    default: 'false',
+    boolean: true,
+    description: 'Skip CNAMEs that match no resource',
+  },
+  {
+    name: 'expected-cname',
+    description: 'Hostname each resource-id must serve',
+  },
+  {
+    name: 'resource-check',
+    default: 'fail',
+    description: 'On inactive or mismatched resources: fail or warn',
+  },
+  { name: 'paths', description: 'Comma-separated paths to purge' },
+  {
+    name: 'query-strings',
+    default: 'keep',
+    description: 'Query string handling: keep, strip or reject',
+  },
+  { name: 'paths-file', description: 'File with paths or a build manifest' },
+  {
+    name: 'full-purge',
+    default: 'false',
+    boolean: true,
+    description: 'Purge all cache',
+  },
+  { name: 'full-purge-refs', description: 'Git refs allowed to full purge' },
+  {
+    name: 'ref',
+    fallbackEnv: 'CI_COMMIT_REF_NAME',
+    description:
+      'Git ref checked against full-purge-refs (default: $GITHUB_REF, $CI_COMMIT_REF_NAME)',
+  },
+  {
+    name: 'paths-from-diff',
+    default: 'false',
+    boolean: true,
+    description: 'Also purge files changed between diff-base and diff-head',
+  },
+  { name: 'diff-base', description: 'Base ref for paths-from-diff' },
+  { name: 'diff-head', description: 'Head ref for paths-from-diff' },
+  { name: 'path-mappings', description: 'local/dir/:/cdn/prefix/ rules' },
+  {
+    name: 'github-token',
+    fallbackEnv: 'GITHUB_TOKEN',
+    description: 'GitHub token for paths-from-diff (default: $GITHUB_TOKEN)',
+  },
+  {
+    name: 'repository',
+    description:
+      'GitHub repository (owner/repo) for paths-from-diff (default: $GITHUB_REPOSITORY)',
+  },
+  {
+    name: 'optimize-paths',
+    default: 'true',
+    boolean: true,
+    description: 'Remove duplicate and covered paths',
+  },
+  {
+    name: 'collapse-threshold',
+    default: '0',
+    description: 'Collapse a directory at this many files',
+  },
+  {
+    name: 'full-purge-threshold',
+    default: '0',
+    description: 'Escalate to a full purge above this many paths',
+  },
+  {
+    name: 'prefetch',
+    default: 'false',
+    boolean: true,
+    description: 'Prefetch paths after purge',
+  },
+  { name: 'prefetch-paths', description: 'Paths to prefetch' },
+  {
+    name: 'service-account-key',
+    description: 'Key JSON, base64-encoded JSON or key file path',
+  },
+  { name: 'iam-token', description: 'Pre-generated IAM token' },
+  {
+    name: 'service-account-id',
+    description: 'Service account for GitHub OIDC',
+  },
+  { name: 'oidc-audience', description: 'GitHub OIDC token audience' },
+  {
+    name: 'token-exchange-endpoint',
+    default: 'https://auth.yandex.cloud/oauth/token',
+    description: 'OIDC token exchange endpoint',
+  },
+  {
+    name: 'use-instance-metadata',
+    default: 'false',
+    boolean: true,
+    description: 'Use the service account of this VM',
+  },
+  {
+    name: 'metadata-host',
+    default: '169.254.169.254',
+    description: 'Instance metadata service host',
+  },
+  {
+    name: 'wait',
+    default: 'true',
+    boolean: true,
+    description: 'Wait for operations to complete',
+  },
+  {
+    name: 'batch-concurrency',
+    default: '5',
+    description: 'Path batches submitted in parallel',
+  },
+  {
+    name: 'timeout',
+    default: '900',
+    description: 'Maximum wait time in seconds',
+  },
+  {
+    name: 'retry-max-attempts',
+    default: '12',
+    description: 'Maximum attempts per purge or prefetch request',
+  },
+  {
+    name: 'retry-initial-delay',
+    default: '10',
+    description: 'Initial retry backoff in seconds',
+  },
+  {
+    name: 'retry-max-delay',
+    default: '120',
+    description: 'Maximum retry backoff in seconds',
+  },
+  {
+    name: 'retry-jitter',
+    default: 'full',
+    description: 'Retry jitter: full, decorrelated or none',
+  },
+  {
+    name: 'rate-limit',
+    description: 'Purge and prefetch requests per resource, e.g. 10/60',
+  },
+  {
+    name: 'rate-limit-burst',
+    default: '1',
+    description: 'Requests sent back to back under rate-limit',
+  },
+  {
+    name: 'list-resources',
+    default: 'false',
+    boolean: true,
+    description: 'List the resources of folder-id instead of purging',
+  },
+  {
+    name: 'operation-ids',
+    description: 'Check existing operations instead of purging',
+  },
+  {
+    name: 'cancel-on-abort',
+    default: 'false',
+    boolean: true,
+    description: 'Cancel pending operations on SIGINT/SIGTERM',
+  },
+  { name: 'verify-etag', description: 'ETag fresh responses must carry' },
+  {
+    name: 'verify-last-modified',
+    description: 'Date fresh responses must not be older than',
+  },
+  {
+    name: 'verify-sha256',
+    description: 'SHA-256 of the fresh response body',
+  },
+  {
+    name: 'verify-header',
+    description: 'Header of fresh responses, as "Name: value"',
+  },
+  {
+    name: 'verify-paths',
+    description: 'Paths to verify (default: sample of purged paths)',
+  },
+  {
+    name: 'verify-sample-size',
+    default: '3',
+    description: 'Purged paths to verify',
+  },
+  {
+    name: 'verify-timeout',
+    default: '300',
+    description: 'Seconds to wait for fresh content',
+  },
+  {
+    name: 'verify-endpoint',
+    description: 'Base URL for verification requests (default: CNAME)',
+  },
+  {
+    name: 'dry-run',
+    default: 'false',
+    boolean: true,
+    description: 'Print the plan without purging',
+  },
+  {
+    name: 'endpoint',
+    default: 'https://cdn.api.cloud.yandex.net',
+    description: 'CDN API endpoint',
+  },
+  { name: 'operation-endpoint', description: 'Operations API endpoint' },
+  { name: 'iam-endpoint', description: 'IAM API endpoint' },
+  {
+    name: 'ca-certificates',
+    description: 'PEM file with extra CA certificates',
+  },
+];
+
+// Outputs holding JSON documents
+const JSON_OUTPUTS = [
+  'resources',
+  'operations',
+  'prefetch-operations',
+  'plan',
+  'verification',
+];
+
+/**
+ * Get the environment variable name for an input
+ * @param {string} name - Input name, e.g. "resource-id"
+ * @returns {string} Variable name, e.g. "YANDEX_CDN_RESOURCE_ID"
+ */
+function envName(name) {
+  return `YANDEX_CDN_${name.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Build the usage text
+ * @returns {string} Help text
+ */
+function usage() {
+  const options = INPUTS.map(input => [
+    `--${input.name}`,
+    input.description + (input.default ? ` (default: ${input.default})` : ''),
+  ]);
+  const extra = [
+    ['--output <format>', 'Result format: text or json (default: text)'],
+    ['--verbose', 'Print debug messages'],
+    ['--quiet', 'Only print warnings and errors'],
+    ['-h, --help', 'Show this help'],
+    ['-v, --version', 'Show the version'],
+  ];
+  const width = Math.max(
+    ...[...options, ...extra].map(([flag]) => flag.length)
+  );
+  const format = ([flag, description]) =>
+    `  ${flag.padEnd(width)}  ${description}`;
+
+  return [
+    'Usage: yandex-cdn-invalidate [options]',
+    '',
+    'Purge Yandex Cloud CDN cache. Every option can also be set with an',
+    'environment variable: --resource-id is YANDEX_CDN_RESOURCE_ID.',
+    'Boolean options accept --<name> and --no-<name>.',
+    '',
+    'Options:',
+    ...options.map(format),
+    '',
+    ...extra.map(format),
+  ].join('\n');
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without node and script
+ * @param {Object} env - Environment variables
+ * @returns {{ inputs: Object<string, string>, output: string, verbose: boolean, quiet: boolean, help: boolean, version: boolean }}
+ *   Resolved input values (flag, then environment, then default) and CLI options
+ * @throws {Error} If an argument is unknown or invalid
+ */
+function parseCliArgs(argv, env = process.env) {
+  const options = {
+    output: { type: 'string', default: 'text' },
+    verbose: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', short: 'v', default: false },
+  };
+  for (const input of INPUTS) {
+    options[input.name] = { type: input.boolean ? 'boolean' : 'string' };
+    if (input.boolean) {
+      options[`no-${input.name}`] = { type: 'boolean' };
+    }
+  }
+
+  const { values } = parseArgs({ args: argv, options, strict: true });
+
+  if (!['text', 'json'].includes(values.output)) {
+    throw new Error(
+      `Invalid --output value "${values.output}". Expected one of: text, json`
+    );
+  }
+
+  const inputs = {};
+  for (const input of INPUTS) {
+    let value = values[input.name];
+    if (input.boolean && values[`no-${input.name}`]) {
+      value = false;
+    }
+
+    if (value !== undefined) {
+      inputs[input.name] = String(value);
+    } else if (env[envName(input.name)] !== undefined) {
+      inputs[input.name] = env[envName(input.name)];
+    } else if (input.fallbackEnv && env[input.fallbackEnv]) {
+      inputs[input.name] = env[input.fallbackEnv];
+    } else {
+      inputs[input.name] = input.default || '';
+    }
+  }
+
+  return {
+    inputs,
+    output: values.output,
+    verbose: values.verbose,
+    quiet: values.quiet,
+    help: values.help,
+    version: values.version,
+  };
+}
+
+/**
+ * Format collected outputs for printing
+ * Text output lists the plain outputs; errors are already logged, so only
+ * JSON output repeats them.
+ * @param {Object<string, string>} outputs - Outputs set by run()
+ * @param {string|null} error - Failure message, if any
+ * @param {string} format - "text" or "json"
+ * @returns {string} Printable result
+ */
+function formatResult(outputs, error, format) {
+  if (format === 'json') {
+    const result = {};
+    for (const [name, value] of Object.entries(outputs)) {
+      result[name] = JSON_OUTPUTS.includes(name) ? JSON.parse(value) : value;
+    }
+    if (error) {
+      result.error = error;
+    }
+    return JSON.stringify(result, null, 2);
+  }
+
+  const lines = [];
+  for (const [name, value] of Object.entries(outputs)) {
+    if (!JSON_OUTPUTS.includes(name)) {
+      lines.push(`${name}: ${value}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments without node and script
+ * @param {Object} [env] - Environment variables
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv = process.argv.slice(2), env = process.env) {
+  let args;
+  try {
+    args = parseCliArgs(argv, env);
+  } catch (error) {
+    process.stderr.write(
+      `error: ${error.message}\nRun "yandex-cdn-invalidate --help" for usage.\n`
+    );
+    return 2;
+  }
+
+  if (args.help) {
+    process.stdout.write(`${usage()}\n`);
+    return 0;
+  }
+  if (args.version) {
+    process.stdout.write(`${version}\n`);
+    return 0;
+  }
+
+  setLogger(createConsoleLogger({ verbose: args.verbose, quiet: args.quiet }));
+
+  const outputs = {};
+  let failure = null;
+  await run({
+    getInput: name => args.inputs[name] || '',
+    setOutput: (name, value) => {
+      outputs[name] = value;
+    },
+    setFailed: message => {
+      failure = message;
+    },
+  });
+
+  const result = formatResult(outputs, failure, args.output);
+  if (result) {
+    process.stdout.write(`${result}\n`);
+  }
+  return failure === null ? 0 : 1;
+}
+
+// Execute if this is the main module
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  parseCliArgs,
+  formatResult,
+  INPUTS,
+};
@@ -0,0 +1,42 @@
+/**
+ * Concurrency helpers
+ * @module concurrency
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep the order of the input items. After the first rejection no new
+ * calls are started; calls already in flight settle before the returned
+ * promise rejects with that first error.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,48 @@
+/**
+ * Yandex Cloud API endpoint resolution
+ * @module endpoints
+ */
+
+const DEFAULT_ENDPOINTS = {
+  cdn: 'https://cdn.api.cloud.yandex.net',
+  operation: 'https://operation.api.cloud.yandex.net',
+  iam: 'https://iam.api.cloud.yandex.net',
+};
+
+/**
+ * Resolve CDN, Operations and IAM API endpoints
+ * Explicit endpoints win. Otherwise they are derived from the CDN endpoint:
+ * "https://cdn.<base>" gives "https://operation.<base>" and "https://iam.<base>",
+ * and any other endpoint (a private installation gateway or a local test
+ * server) is used for all three APIs.
+ * @param {Object} [options] - Configured endpoints
+ * @param {string} [options.endpoint] - CDN API endpoint
+ * @param {string} [options.operationEndpoint] - Operations API endpoint
+ * @param {string} [options.iamEndpoint] - IAM API endpoint
+ * @returns {{ cdn: string, operation: string, iam: string }} Resolved endpoints
+ */
+function resolveEndpoints(options = {}) {
+  const cdn = trimSlash(options.endpoint || DEFAULT_ENDPOINTS.cdn);
+  const match = /^(https?:\/\/)cdn\.(.+)$/.exec(cdn);
+  const derive = service => (match ? `${match[1]}${service}.${match[2]}` : cdn);
+
+  return {
+    cdn,
+    operation: trimSlash(options.operationEndpoint || derive('operation')),
+    iam: trimSlash(options.iamEndpoint || derive('iam')),
+  };
+}
+
+/**
+ * Remove trailing slashes from a URL
+ * @param {string} url - URL
+ * @returns {string} URL without trailing slashes
+ */
+function trimSlash(url) {
+  return url.trim().replace(/\/+$/, '');
+}
+
+module.exports = {
+  resolveEndpoints,
+  DEFAULT_ENDPOINTS,
+};
@@ -0,0 +1,168 @@
+/**
+ * Error classes raised by the CDN client and authentication
+ * @module errors
+ */
+
+const { isRetryableError } = require('./retry');
+
+/**
+ * Base class for all errors of this package
+ * `code` identifies the error type without instanceof checks.
+ */
+class CdnError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number|null} [details.status] - HTTP status code of the failed request
+   * @param {string|null} [details.resourceId] - CDN resource ID
+   * @param {string|null} [details.operationId] - Yandex Cloud operation ID
+   * @param {boolean} [details.retryable=false] - Whether repeating the call may succeed
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = 'CDN_ERROR';
+    this.status = details.status ?? null;
+    this.resourceId = details.resourceId ?? null;
+    this.operationId = details.operationId ?? null;
+    this.retryable = details.retryable ?? false;
+  }
+}
+
+/**
+ * Invalid argument or configuration, detected before any request
+ */
+class ValidationError extends CdnError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'INVALID_ARGUMENT';
+  }
+}
+
+/**
+ * Credentials are missing, invalid, expired or could not be exchanged (401)
+ */
+class AuthenticationError extends CdnError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'UNAUTHENTICATED';
+  }
+}
+
+/**
+ * The credentials lack a role for the request (403)
+ */
+class PermissionDeniedError extends CdnError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'PERMISSION_DENIED';
+  }
+}
+
+/**
+ * The CDN resource or operation does not exist (404)
+ */
+class NotFoundError extends CdnError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'NOT_FOUND';
+  }
+}
+
+/**
+ * Any other failed request: unexpected HTTP status, invalid response or
+ * network error. Throttling, 5xx and network errors are retryable.
+ */
+class ApiError extends CdnError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'API_ERROR';
+  }
+}
+
+/**
+ * The operation finished with an error
+ * The operation object is available as `operation`.
+ */
+class OperationFailedError extends CdnError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} operation - Final operation object
+   * @param {Object} [details] - Error details, as for CdnError
+   */
+  constructor(message, operation, details) {
+    super(message, details);
+    this.code = 'OPERATION_FAILED';
+    this.operation = operation;
+  }
+}
+
+/**
+ * The operation did not finish in time; it may still complete
+ * The last operation object seen (or null) is available as `operation`.
+ */
+class OperationTimeoutError extends CdnError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object|null} operation - Last operation object seen
+   * @param {Object} [details] - Error details, as for CdnError
+   */
+  constructor(message, operation, details) {
+    super(message, { retryable: true, ...details });
+    this.code = 'OPERATION_TIMEOUT';
+    this.operation = operation;
+  }
+}
+
+/**
+ * The call was cancelled through the client's abort signal
+ */
+class CancelledError extends CdnError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'CANCELLED';
+  }
+}
+
+/**
+ * Build a typed error for a failed HTTP request
+ * Unless a class is given, it follows the response status; errors without a
+ * response become ApiError. `retryable` follows the retry policy.
+ * @param {string} message - Error message
+ * @param {Error} error - axios error
+ * @param {Object} [details] - Extra details (resourceId, operationId)
+ * @param {typeof CdnError} [ErrorClass] - Class to use regardless of status
+ * @returns {CdnError} Typed error
+ */
+function fromHttpError(message, error, details = {}, ErrorClass = null) {
+  const status = error.response?.status ?? null;
+  const Type =
+    ErrorClass ||
+    {
+      401: AuthenticationError,
+      403: PermissionDeniedError,
+      404: NotFoundError,
+    }[status] ||
+    ApiError;
+
+  return new Type(message, {
+    ...details,
+    status,
+    retryable: isRetryableError(error),
+    cause: error,
+  });
+}
+
+module.exports = {
+  CdnError,
+  ValidationError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ApiError,
+  OperationFailedError,
+  OperationTimeoutError,
+  CancelledError,
+  fromHttpError,
+};
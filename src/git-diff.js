@@ -0,0 +1,146 @@
+/**
+ * Derive CDN purge paths from the git diff of a push
+ * @module git-diff
+ */
+
+const { escapeFileName } = require('./path-normalizer');
+
+const ZERO_SHA = /^0+$/;
+
+// The compare API lists at most this many files for the whole comparison;
+// its pagination applies to commits only
+const MAX_COMPARE_FILES = 300;
+
+/**
+ * Parse path mapping rules
+ * Each rule maps a local directory prefix to a CDN URL prefix, e.g. "dist/:/"
+ * @param {string} input - Comma- or newline-separated "local:remote" rules
+ * @returns {{ from: string, to: string }[]} Parsed mapping rules
+ * @throws {Error} If a rule is malformed
+ */
+function parsePathMappings(input) {
+  if (!input || input.trim() === '') {
+    return [];
+  }
+
+  return input
+    .split(/[,\n]/)
+    .map(rule => rule.trim())
+    .filter(rule => rule.length > 0)
+    .map(rule => {
+      const separator = rule.indexOf(':');
+      if (separator === -1) {
+        throw new Error(
+          `Invalid path mapping "${rule}". Expected format: "local/dir/:/cdn/prefix/"`
+        );
+      }
+
+      let from = rule
+        .slice(0, separator)
+        .trim()
+        .replace(/^\.?\//, '');
+      if (from.length > 0 && !from.endsWith('/')) {
+        from = `${from}/`;
+      }
+      let to = rule.slice(separator + 1).trim();
+      if (!to.startsWith('/')) {
+        to = `/${to}`;
+      }
+
+      return { from, to };
+    });
+}
+
+/**
+ * Map repository file names to CDN paths
+ * Files are matched against the first rule whose local prefix they start with.
+ * Without rules every file maps to "/<file>". With rules, unmatched files are skipped.
+ * Characters with a meaning in purge paths ("%", "#", "?", "*") are escaped.
+ * @param {string[]} files - Repository-relative file names
+ * @param {{ from: string, to: string }[]} mappings - Mapping rules
+ * @returns {string[]} Unique CDN paths
+ */
+function mapFilesToPaths(files, mappings) {
+  const paths = new Set();
+
+  for (const file of files) {
+    if (mappings.length === 0) {
+      paths.add(`/${escapeFileName(file)}`);
+      continue;
+    }
+
+    const mapping = mappings.find(rule => file.startsWith(rule.from));
+    if (!mapping) {
+      continue;
+    }
+
+    const relative = file.slice(mapping.from.length);
+    const prefix = mapping.to.endsWith('/') ? mapping.to : `${mapping.to}/`;
+    paths.add(`${prefix}${escapeFileName(relative)}`);
+  }
+
+  return [...paths];
+}
+
+/**
+ * Get files changed between two commits using the GitHub compare API
+ * Removed files and the old name of renamed files are included, since their
+ * cached copies are stale as well.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {Object} params - Compare parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} params.base - Base commit SHA or ref
+ * @param {string} params.head - Head commit SHA or ref
+ * @returns {Promise<string[]>} Changed file names
+ * @throws {Error} If refs are missing, the compare request fails or the
+ *   comparison has more files than the API lists
+ */
+async function getChangedFiles(octokit, { owner, repo, base, head }) {
+  if (!base || ZERO_SHA.test(base)) {
+    throw new Error(
+      'Cannot compute changed files: base ref is missing. ' +
+        'This happens on the first push of a new branch; provide diff-base explicitly.'
+    );
+  }
+  if (!head) {
+    throw new Error('Cannot compute changed files: head ref is missing');
+  }
+
+  let response;
+  try {
+    response = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${base}...${head}`,
+    });
+  } catch (error) {
+    throw new Error(
+      `Failed to compare ${base}...${head}: ${error.status || 'N/A'} - ${error.message}`
+    );
+  }
+
+  const changed = response.data?.files || [];
+  if (changed.length >= MAX_COMPARE_FILES) {
+    throw new Error(
+      `${base}...${head} changes ${MAX_COMPARE_FILES} or more files, more than ` +
+        'the GitHub compare API lists. Purging only some of them would leave ' +
+        'stale content; use full-purge or paths-file for large changes.'
+    );
+  }
+
+  const files = new Set();
+  for (const file of changed) {
+    files.add(file.filename);
+    if (file.previous_filename) {
+      files.add(file.previous_filename);
+    }
+  }
+  return [...files];
+}
+
+module.exports = {
+  parsePathMappings,
+  mapFilesToPaths,
+  getChangedFiles,
+};
@@ -0,0 +1,59 @@
+/**
+ * HTTP transport configuration: proxies and custom CA certificates
+ * @module http
+ */
+
+const fs = require('fs');
+const https = require('https');
+const tls = require('tls');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getProxyForUrl } = require('proxy-from-env');
+const { ValidationError } = require('./errors');
+
+/**
+ * Read a CA bundle and combine it with the default root certificates
+ * @param {string} caFile - Path to a PEM file with one or more certificates
+ * @returns {string[]} Certificates to trust
+ * @throws {ValidationError} If the file cannot be read
+ */
+function readCaCertificates(caFile) {
+  let bundle;
+  try {
+    bundle = fs.readFileSync(caFile, 'utf8');
+  } catch (error) {
+    throw new ValidationError(
+      `Failed to read CA certificates "${caFile}": ${error.message}`
+    );
+  }
+
+  return [...tls.rootCertificates, bundle];
+}
+
+/**
+ * Build axios transport options for requests to a base URL
+ * Proxies are taken from HTTPS_PROXY/HTTP_PROXY and NO_PROXY (upper or lower
+ * case), and tunnelled with CONNECT so HTTPS works through corporate proxies.
+ * @param {string} baseURL - Target base URL
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.caFile] - Extra CA bundle to trust
+ * @returns {{ proxy: false, httpAgent?: Object, httpsAgent?: Object }} axios config
+ */
+function createTransport(baseURL, options = {}) {
+  const ca = options.caFile ? readCaCertificates(options.caFile) : undefined;
+  const proxyUrl = getProxyForUrl(baseURL);
+
+  if (proxyUrl) {
+    const agent = new HttpsProxyAgent(proxyUrl, ca ? { ca } : {});
+    return { proxy: false, httpAgent: agent, httpsAgent: agent };
+  }
+
+  return {
+    proxy: false,
+    httpsAgent: ca ? new https.Agent({ ca, keepAlive: true }) : undefined,
+  };
+}
+
+module.exports = {
+  createTransport,
+  readCaCertificates,
+};
@@ -4,33 +4,119 @@
  */
 
 const core = require('@actions/core');
-const { getAuthToken } = require('./auth');
+const github = require('@actions/github');
+const { createCredentialProvider } = require('./auth');
 const YandexCDNClient = require('./cdn-client');
+const {
+  parsePathMappings,
+  mapFilesToPaths,
+  getChangedFiles,
+} = require('./git-diff');
+const { readPathsFile } = require('./paths-file');
+const {
+  parseList,
+  parseResourceTargets,
+  describeTarget,
+  getSecondaryHostnames,
+} = require('./resources');
+const { mapWithConcurrency } = require('./concurrency');
+const { optimizePaths, describePlan } = require('./path-optimizer');
+const {
+  normalizePaths,
+  normalizeHostname,
+  getUrlHost,
+} = require('./path-normalizer');
+const { resolveEndpoints } = require('./endpoints');
+const { JITTER_MODES } = require('./retry');
+const {
+  parseExpectations,
+  selectSample,
+  verifyFreshness,
+  DEFAULT_SAMPLE_SIZE,
+} = require('./verify');
+const { CancelledError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Source of inputs and sink of outputs for run()
+ * @typedef {Object} ActionIO
+ * @property {(name: string) => string} getInput - Read an input ('' if unset)
+ * @property {(name: string, value: string) => void} setOutput - Set an output
+ * @property {(message: string) => void} setFailed - Report failure
+ */
+
+/**
+ * Inputs and outputs of the GitHub Actions runtime
+ * @type {ActionIO}
+ */
+const ACTIONS_IO = {
+  getInput: name => core.getInput(name),
+  setOutput: (name, value) => core.setOutput(name, value),
+  setFailed: message => core.setFailed(message),
+};
+
+// Paths matching every file of the resource: "/*", also with a query string
+const ROOT_WILDCARD = /^\/\*+(\?|$)/;
+
+/**
+ * Format paths - validate, normalize and ensure they start with /
+ * @param {string[]} paths - Raw paths or URLs
+ * @param {Object} [options] - Normalization options
+ * @param {string[]|null} [options.allowedHosts] - Hosts accepted in full URLs;
+ *   null accepts any host
+ * @param {string} [options.queryStrings] - Query string handling: keep, strip or reject
+ * @returns {string[]} Formatted paths
+ * @throws {Error} If any path is invalid
+ */
+function formatPaths(paths, options = {}) {
+  return normalizePaths(paths, options);
+}
 
 /**
  * Parse and validate paths input
  * @param {string} pathsInput - Comma-separated paths string
+ * @param {Object} [options] - Normalization options, as for formatPaths
  * @returns {string[]} Array of formatted paths
+ * @throws {Error} If any path is invalid
  */
-function parsePaths(pathsInput) {
+function parsePaths(pathsInput, options = {}) {
   if (!pathsInput || pathsInput.trim() === '') {
     return [];
   }
 
-  try {
-    const paths = pathsInput
-      .split(',')
-      .map(path => path.trim())
-      .filter(path => path.length > 0);
-
-    // Format paths - ensure they start with /
-    return paths.map(path => {
-      return path.startsWith('/') ? path : `/${path}`;
-    });
-  } catch (error) {
+  const paths = pathsInput
+    .split(',')
+    .map(path => path.trim())
+    .filter(path => path.length > 0);
+
+  return formatPaths(paths, options);
+}
+
+/**
+ * Collect the hosts of full URLs among raw paths
+ * They are checked against the resolved resource before purging.
+ * @param {string[]} inputs - Raw paths or URLs
+ * @returns {string[]} Unique normalized hosts
+ */
+function collectUrlHosts(inputs) {
+  return [...new Set(inputs.map(getUrlHost).filter(Boolean))];
+}
+
+/**
+ * Check that full URL paths name a hostname of the resource
+ * @param {ResourceSummary} details - Resolved resource
+ * @param {string[]} hosts - Hosts of full URL paths
+ * @throws {Error} If a host is neither the CNAME nor a secondary hostname
+ */
+function checkUrlHosts(details, hosts) {
+  const served = [details.cname || '', ...details.secondaryHostnames]
+    .filter(Boolean)
+    .map(normalizeHostname);
+  const foreign = hosts.filter(host => !served.includes(host));
+  if (foreign.length > 0) {
     throw new Error(
-      `Failed to parse paths input: ${error.message}. ` +
-        'Ensure it is a valid comma-separated string.'
+      `Full URLs for ${foreign.join(', ')} do not match CDN resource ` +
+        `${details.id} (${served.join(', ') || 'no hostname'})`
     );
   }
 }
@@ -47,129 +133,1391 @@ function validateResourceId(resourceId) {
 
   // Basic validation - Yandex resource IDs are typically alphanumeric
   if (!/^[a-zA-Z0-9]+$/.test(resourceId)) {
-    core.warning(
+    logger.warning(
       `Resource ID "${resourceId}" contains non-alphanumeric characters. ` +
         'This may be invalid. Typical format: bc8abcdef123'
     );
   }
 }
 
+/**
+ * Check whether a git ref matches an allowlist of refs
+ * Entries may be full refs (refs/heads/main), short branch or tag names (main),
+ * or end with "*" to match a prefix (release/*)
+ * @param {string} ref - Git ref being built, e.g. GITHUB_REF
+ * @param {string[]} allowlist - Allowed refs
+ * @returns {boolean} True if the ref is allowed
+ */
+function isRefAllowed(ref, allowlist) {
+  if (!ref) {
+    return false;
+  }
+
+  const shortRef = ref.replace(/^refs\/(heads|tags)\//, '');
+
+  return allowlist.some(entry => {
+    if (entry.endsWith('*')) {
+      const prefix = entry.slice(0, -1);
+      return ref.startsWith(prefix) || shortRef.startsWith(prefix);
+    }
+    return entry === ref || entry === shortRef;
+  });
+}
+
+/**
+ * Validate that a full cache purge was explicitly requested and is allowed
+ * @param {boolean} fullPurge - Value of the full-purge input
+ * @param {string[]} allowedRefs - Refs allowed to run a full purge (empty = any)
+ * @param {string} ref - Git ref being built
+ * @throws {Error} If full purge is not enabled or the ref is not allowed
+ */
+function validateFullPurge(fullPurge, allowedRefs, ref) {
+  if (!fullPurge) {
+    throw new Error(
+      'No paths provided. Set full-purge: true to purge all cache, ' +
+        'or provide paths to purge.'
+    );
+  }
+
+  if (allowedRefs.length > 0 && !isRefAllowed(ref, allowedRefs)) {
+    throw new Error(
+      `Full purge is not allowed for ref "${ref || 'unknown'}". ` +
+        `Allowed refs: ${allowedRefs.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Resolve the repository whose commits are compared
+ * @param {string} [input] - "owner/repo" (default: repository of the workflow run)
+ * @returns {{ owner: string, repo: string }} Repository
+ * @throws {Error} If the input is malformed or no repository is known
+ */
+function resolveRepository(input) {
+  if (input) {
+    const match = input.trim().match(/^([^/\s]+)\/([^/\s]+)$/);
+    if (!match) {
+      throw new Error(
+        `Invalid repository value: "${input}". Expected format: "owner/repo"`
+      );
+    }
+    return { owner: match[1], repo: match[2] };
+  }
+
+  if (!process.env.GITHUB_REPOSITORY) {
+    throw new Error(
+      'repository is required when paths-from-diff is used outside GitHub Actions'
+    );
+  }
+  return github.context.repo;
+}
+
+/**
+ * Compute purge paths from files changed by the triggering push
+ * @param {Object} options - Diff options
+ * @param {string} options.token - GitHub token for the compare API
+ * @param {string} [options.repository] - Repository as "owner/repo"
+ *   (default: repository of the workflow run)
+ * @param {string} [options.base] - Base ref (default: push event "before" SHA)
+ * @param {string} [options.head] - Head ref (default: push event "after" SHA or GITHUB_SHA)
+ * @param {string} [options.mappingsInput] - Path mapping rules input
+ * @returns {Promise<string[]>} CDN paths for changed files
+ */
+async function getDiffPaths({ token, repository, base, head, mappingsInput }) {
+  if (!token) {
+    throw new Error('github-token is required when paths-from-diff is true');
+  }
+
+  const { context } = github;
+  const mappings = parsePathMappings(mappingsInput);
+  const files = await getChangedFiles(github.getOctokit(token), {
+    ...resolveRepository(repository),
+    base: base || context.payload?.before,
+    head: head || context.payload?.after || context.sha,
+  });
+
+  logger.info(`Changed files: ${files.length}`);
+  logger.debug(`Changed files: ${JSON.stringify(files)}`);
+
+  return mapFilesToPaths(files, mappings);
+}
+
+/**
+ * Aggregate per-batch statuses into a single status
+ * @param {{ status: string }[]} operations - Purge batch results
+ * @returns {string} ERROR if any batch failed, CANCELLED if the run was
+ *   cancelled, PLANNED if all are dry-run plans, IN_PROGRESS if any is pending,
+ *   otherwise DONE
+ */
+function aggregateStatus(operations) {
+  if (operations.some(operation => operation.status === 'ERROR')) {
+    return 'ERROR';
+  }
+  if (operations.some(operation => operation.status === 'CANCELLED')) {
+    return 'CANCELLED';
+  }
+  if (operations.every(operation => operation.status === 'PLANNED')) {
+    return 'PLANNED';
+  }
+  if (operations.some(operation => operation.status !== 'DONE')) {
+    return 'IN_PROGRESS';
+  }
+  return 'DONE';
+}
+
+/**
+ * Describe the authentication method in use, in the order credentials are tried
+ * @param {Object} credentials - Credential inputs
+ * @param {string} credentials.iamToken - iam-token input
+ * @param {string} credentials.serviceAccountKeyJson - service-account-key input
+ * @param {string} credentials.serviceAccountId - service-account-id input
+ * @param {boolean} credentials.useInstanceMetadata - use-instance-metadata input
+ * @returns {string} Method name
+ */
+function describeAuthMethod({
+  iamToken,
+  serviceAccountKeyJson,
+  serviceAccountId,
+  useInstanceMetadata,
+}) {
+  if (iamToken) {
+    return 'IAM Token';
+  }
+  if (serviceAccountKeyJson) {
+    return 'Service Account Key';
+  }
+  if (serviceAccountId) {
+    return `GitHub OIDC (service account ${serviceAccountId})`;
+  }
+  if (useInstanceMetadata) {
+    return 'Instance metadata service';
+  }
+  return 'Service Account Key';
+}
+
+/**
+ * Parse a positive integer input
+ * @param {string} name - Input name for error messages
+ * @param {string} value - Raw input value
+ * @returns {number} Parsed value
+ * @throws {Error} If the value is not a positive integer
+ */
+function parsePositiveInt(name, value) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed <= 0) {
+    throw new Error(
+      `Invalid ${name} value: "${value}". Must be a positive integer.`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Parse the retry inputs
+ * @param {{ maxAttempts: string, initialDelay: string, maxDelay: string, jitter: string }} inputs -
+ *   Raw input values; delays are in seconds
+ * @returns {import('./cdn-client').RetryOptions} Retry options with delays in ms
+ * @throws {Error} If a value is invalid
+ */
+function parseRetryOptions(inputs) {
+  const maxAttempts = parsePositiveInt(
+    'retry-max-attempts',
+    inputs.maxAttempts || '12'
+  );
+  const initialDelay = parsePositiveInt(
+    'retry-initial-delay',
+    inputs.initialDelay || '10'
+  );
+  const maxDelay = parsePositiveInt(
+    'retry-max-delay',
+    inputs.maxDelay || '120'
+  );
+
+  if (maxDelay < initialDelay) {
+    throw new Error(
+      `Invalid retry-max-delay value: "${inputs.maxDelay}". Must not be less than retry-initial-delay.`
+    );
+  }
+  if (!JITTER_MODES.includes(inputs.jitter)) {
+    throw new Error(
+      `Invalid retry-jitter value: "${inputs.jitter}". Expected one of: ${JITTER_MODES.join(', ')}`
+    );
+  }
+
+  return {
+    maxAttempts,
+    initialDelay: initialDelay * 1000,
+    maxDelay: maxDelay * 1000,
+    jitter: inputs.jitter,
+  };
+}
+
+/**
+ * Parse the rate-limit inputs
+ * @param {string} input - "<requests>/<seconds>", e.g. "10/60"; empty disables
+ *   the limit
+ * @param {string} burstInput - Requests sent back to back (default: 1)
+ * @returns {import('./rate-limiter').RateLimitOptions|null} Rate limit, or
+ *   null if disabled
+ * @throws {Error} If a value is invalid
+ */
+function parseRateLimit(input, burstInput) {
+  if (!input || !input.trim()) {
+    return null;
+  }
+
+  const match = input.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(
+      `Invalid rate-limit value: "${input}". Expected <requests>/<seconds> with positive integers, e.g. "10/60".`
+    );
+  }
+
+  return {
+    requests: Number(match[1]),
+    perSeconds: Number(match[2]),
+    burst: parsePositiveInt('rate-limit-burst', burstInput || '1'),
+  };
+}
+
+/**
+ * Compute the requests a purge of one resource would send
+ * @param {string} resourceId - Resolved CDN Resource ID
+ * @param {Object} options - Purge options, as for purgeResource
+ * @returns {Object} Plan with purge and prefetch batches
+ */
+function createPlan(resourceId, options) {
+  const prefetchPaths = options.prefetch
+    ? options.prefetchPaths.filter(path => !path.includes('*'))
+    : [];
+
+  return {
+    resourceId,
+    fullPurge: options.fullPurge,
+    purgeBatches: options.fullPurge
+      ? [[]]
+      : YandexCDNClient.splitIntoBatches(options.paths),
+    prefetchBatches: YandexCDNClient.splitIntoBatches(prefetchPaths),
+  };
+}
+
+/**
+ * Describe a resource plan for logging
+ * @param {string} resource - Resource ID or CNAME as given in the inputs
+ * @param {Object} plan - Plan returned by createPlan
+ * @returns {string[]} Log lines
+ */
+function describeResourcePlan(resource, plan) {
+  const lines = [`Plan for ${resource} (resource ID: ${plan.resourceId}):`];
+
+  if (plan.fullPurge) {
+    lines.push('  Full purge (ALL cache)');
+  } else {
+    plan.purgeBatches.forEach((batch, index) => {
+      lines.push(`  Purge batch ${index + 1}: ${JSON.stringify(batch)}`);
+    });
+  }
+  plan.prefetchBatches.forEach((batch, index) => {
+    lines.push(`  Prefetch batch ${index + 1}: ${JSON.stringify(batch)}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Verification settings
+ * @typedef {Object} VerifyOptions
+ * @property {import('./verify').FreshnessExpectations} expect - Expectations
+ * @property {string[]|null} paths - Paths to verify (default: purged paths)
+ * @property {number} sampleSize - Purged paths verified when paths is null
+ * @property {string|null} endpoint - Base URL overriding https://<cname>
+ * @property {number} timeoutSeconds - Time to wait for fresh content
+ * @property {string} [caFile] - Extra CA bundle to trust
+ * @property {AbortSignal} [signal] - Stops verifying
+ */
+
+/**
+ * Verify that the CDN serves fresh content for a purged resource
+ * The result per path is stored as `result.verification`.
+ * @param {Object} result - Result of purgeResource, with resource details
+ * @param {string[]} purgedPaths - Purged paths (empty for a full purge)
+ * @param {VerifyOptions} verify - Verification settings
+ * @throws {Error} If a path is still stale when the timeout expires
+ */
+async function verifyResource(result, purgedPaths, verify) {
+  const paths = selectSample(verify.paths || purgedPaths, verify.sampleSize);
+  if (paths.length === 0) {
+    logger.warning(
+      `Resource ${result.resource}: no paths to verify; set verify-paths to verify a full or wildcard purge`
+    );
+    return;
+  }
+
+  logger.info(
+    `Verifying ${paths.length} path(s) on ${result.details.cname}: ${JSON.stringify(paths)}`
+  );
+  result.verification = await verifyFreshness(paths, {
+    ...verify,
+    hostname: result.details.cname,
+  });
+
+  const stale = result.verification.filter(entry => !entry.fresh);
+  if (stale.length > 0) {
+    throw new Error(
+      `Stale content after ${verify.timeoutSeconds}s: ` +
+        stale.map(entry => `${entry.path} (${entry.reason})`).join(', ')
+    );
+  }
+  logger.info(`✓ ${result.details.cname} serves fresh content`);
+}
+
+/**
+ * Purge (and optionally prefetch) a single CDN resource
+ * Failures are reported in the result instead of being thrown, so one
+ * resource cannot abort the others.
+ * @param {YandexCDNClient} client - CDN client
+ * @param {import('./resources').ResourceTarget} target - Resource to purge
+ * @param {Object} options - Purge options
+ * @param {string[]} options.paths - Paths to purge (empty = full purge)
+ * @param {string[]} options.prefetchPaths - Paths to prefetch
+ * @param {boolean} options.prefetch - Prefetch after purge
+ * @param {boolean} options.fullPurge - Purge all cache (paths must be empty)
+ * @param {boolean} options.wait - Wait for operations to complete
+ * @param {number} options.timeout - Timeout in seconds for the purge and
+ *   prefetch together
+ * @param {number} options.batchConcurrency - Batches submitted in parallel
+ * @param {string} options.folderId - Folder for CNAME lookup
+ * @param {boolean} options.skipNotFound - Skip CNAMEs that are not found
+ * @param {string[]} [options.urlHosts] - Hosts of full URL paths, which must
+ *   be hostnames of the resource
+ * @param {string} [options.resourceCheck='fail'] - 'fail' or 'warn' when the
+ *   resource is inactive or does not serve the expected CNAME
+ * @param {boolean} [options.dryRun] - Only verify the resource and plan batches
+ * @param {VerifyOptions|null} [options.verify] - Check that the CDN serves
+ *   fresh content once the purge is done
+ * @returns {Promise<Object>} Per-resource result
+ */
+async function purgeResource(client, target, options) {
+  const result = {
+    resource: describeTarget(target),
+    resourceId: target.id || null,
+    status: 'IN_PROGRESS',
+    operations: [],
+    prefetchOperations: [],
+  };
+
+  try {
+    if (target.cname) {
+      const resource = await client.getResourceByCname(
+        target.cname,
+        options.folderId
+      );
+
+      if (!resource) {
+        if (options.skipNotFound) {
+          logger.warning(`Resource not found: ${target.cname}, skipping...`);
+          result.status = 'SKIPPED';
+          return result;
+        }
+
+        throw new Error(`Resource not found: ${target.cname}`);
+      }
+
+      result.resourceId = resource.id;
+      if (
+        normalizeHostname(resource.cname || '') !==
+        normalizeHostname(target.cname)
+      ) {
+        logger.info(
+          `${target.cname} is a secondary hostname of ${resource.cname} (${resource.id})`
+        );
+      }
+    }
+
+    const resource = await client.getResource(result.resourceId, {
+      deadline: Date.now() + options.timeout * 1000,
+    });
+    if (!resource) {
+      throw new Error(
+        `CDN Resource not found: ${result.resourceId}. ` +
+          'Please verify the resource ID is correct.'
+      );
+    }
+    result.details = summarizeResource(resource);
+    checkResource(result.details, target, options.resourceCheck);
+    checkUrlHosts(result.details, options.urlHosts || []);
+
+    const paths = options.paths;
+
+    if (options.dryRun) {
+      result.plan = createPlan(result.resourceId, options);
+      result.status = 'PLANNED';
+      for (const line of describeResourcePlan(result.resource, result.plan)) {
+        logger.info(line);
+      }
+      return result;
+    }
+    // Purge and prefetch share one timeout
+    const deadline = Date.now() + options.timeout * 1000;
+    try {
+      result.operations = await client.purgeCache(result.resourceId, paths, {
+        wait: options.wait,
+        timeoutSeconds: options.timeout,
+        fullPurge: options.fullPurge,
+        concurrency: options.batchConcurrency,
+      });
+    } catch (error) {
+      result.operations = error.operations || [];
+      throw error;
+    }
+
+    // Warm cache after purge
+    if (options.prefetch) {
+      try {
+        result.prefetchOperations = await client.prefetch(
+          result.resourceId,
+          options.prefetchPaths,
+          {
+            wait: options.wait,
+            timeoutSeconds: Math.max(0, (deadline - Date.now()) / 1000),
+            concurrency: options.batchConcurrency,
+          }
+        );
+      } catch (error) {
+        result.prefetchOperations = error.operations || [];
+        throw error;
+      }
+    }
+
+    result.status = aggregateStatus([
+      ...result.operations,
+      ...result.prefetchOperations,
+    ]);
+
+    if (options.verify && result.status === 'DONE') {
+      await verifyResource(result, paths, options.verify);
+    }
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      logger.warning(`Resource ${result.resource}: ${error.message}`);
+      result.status = 'CANCELLED';
+    } else {
+      logger.error(`Resource ${result.resource}: ${error.message}`);
+      result.status = 'ERROR';
+    }
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Summarize an Operations API object
+ * @param {string} operationId - Operation ID
+ * @param {Object|null} operation - Operation object (null if never fetched)
+ * @returns {Object} Operation summary with DONE, ERROR or IN_PROGRESS status
+ */
+function summarizeOperation(operationId, operation) {
+  let status = 'IN_PROGRESS';
+  if (operation?.done === true) {
+    status = operation.error ? 'ERROR' : 'DONE';
+  }
+
+  return {
+    operationId,
+    status,
+    description: operation?.description || null,
+    createdAt: operation?.createdAt || null,
+    modifiedAt: operation?.modifiedAt || null,
+    metadata: operation?.metadata || null,
+    error: operation?.error?.message || null,
+  };
+}
+
+/**
+ * Check existing operations without starting new ones
+ * @param {YandexCDNClient} client - CDN client
+ * @param {string[]} operationIds - Operation IDs to check
+ * @param {{ wait: boolean, timeout: number }} options - Waiting options
+ * @returns {Promise<Object[]>} Operation summaries
+ */
+async function checkOperations(client, operationIds, { wait, timeout }) {
+  return await Promise.all(
+    operationIds.map(async operationId => {
+      if (!wait) {
+        const operation = await client.getOperationStatus(operationId);
+        return summarizeOperation(operationId, operation);
+      }
+
+      try {
+        const operation = await client.waitForOperation(operationId, timeout);
+        return summarizeOperation(operationId, operation);
+      } catch (error) {
+        if (error.operation === undefined) {
+          throw error;
+        }
+        return summarizeOperation(operationId, error.operation);
+      }
+    })
+  );
+}
+
+/**
+ * Attach to existing operations, report their status and fail on errors
+ * @param {YandexCDNClient} client - CDN client
+ * @param {string[]} operationIds - Operation IDs to check
+ * @param {{ wait: boolean, timeout: number }} options - Waiting options
+ * @param {ActionIO} io - Output sink
+ * @throws {Error} If any operation failed or did not finish while waiting
+ */
+async function runOperationCheck(client, operationIds, options, io) {
+  logger.startGroup('Operation Status');
+  const operations = await checkOperations(client, operationIds, options);
+  for (const operation of operations) {
+    logger.info(
+      `  ${operation.operationId}: ${operation.status}` +
+        (operation.error ? ` - ${operation.error}` : '')
+    );
+  }
+  logger.endGroup();
+
+  io.setOutput('operation-id', operationIds.join(','));
+  io.setOutput('status', aggregateStatus(operations));
+  io.setOutput('operations', JSON.stringify(operations));
+
+  const failed = operations.filter(operation => operation.status === 'ERROR');
+  if (failed.length > 0) {
+    throw new Error(
+      `Operation failed: ${failed
+        .map(operation => `${operation.operationId} (${operation.error})`)
+        .join(', ')}`
+    );
+  }
+
+  const pending = operations.filter(
+    operation => operation.status === 'IN_PROGRESS'
+  );
+  if (options.wait && pending.length > 0) {
+    throw new Error(
+      `Operation timeout after ${options.timeout} seconds. ` +
+        `Still in progress: ${pending.map(operation => operation.operationId).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Cancel the run on SIGINT and SIGTERM
+ * The first signal aborts the controller; repeating the same signal (such as
+ * a second Ctrl+C) exits immediately. GitHub Actions sends SIGINT and then
+ * SIGTERM when a workflow is cancelled, which leaves time for the report.
+ * @param {AbortController} controller - Controller cancelling the client
+ * @returns {() => void} Function removing the handlers
+ */
+function handleShutdownSignals(controller) {
+  const signals = ['SIGINT', 'SIGTERM'];
+  let received = null;
+
+  const onSignal = signal => {
+    if (received === signal) {
+      logger.error(`Received ${signal} again, exiting immediately`);
+      process.exit(1);
+    }
+    if (received) {
+      logger.warning(`Received ${signal}, still cancelling...`);
+      return;
+    }
+
+    received = signal;
+    logger.warning(
+      `Received ${signal}, cancelling: no new batches will be submitted`
+    );
+    controller.abort(new CancelledError(`Cancelled by ${signal}`));
+  };
+
+  for (const signal of signals) {
+    process.on(signal, onSignal);
+  }
+  return () => {
+    for (const signal of signals) {
+      process.off(signal, onSignal);
+    }
+  };
+}
+
+/**
+ * List the submitted operations of all resources
+ * @param {Object[]} results - Results returned by purgeResource
+ * @returns {{ result: Object, kind: string, operation: Object }[]} Operations
+ *   with their resource result and kind (purge or prefetch)
+ */
+function listSubmittedOperations(results) {
+  return results.flatMap(result => [
+    ...result.operations.map(operation => ({
+      result,
+      kind: 'purge',
+      operation,
+    })),
+    ...result.prefetchOperations.map(operation => ({
+      result,
+      kind: 'prefetch',
+      operation,
+    })),
+  ]);
+}
+
+/**
+ * Request cancellation of operations still in progress after the run was
+ * cancelled; cancelled operations get the CANCELLED status
+ * @param {YandexCDNClient} client - CDN client
+ * @param {Object[]} results - Results returned by purgeResource
+ * @returns {Promise<void>}
+ */
+async function cancelPendingOperations(client, results) {
+  const pending = listSubmittedOperations(results)
+    .map(({ operation }) => operation)
+    .filter(operation => operation.status === 'IN_PROGRESS');
+
+  await Promise.all(
+    pending.map(async operation => {
+      try {
+        await client.cancelOperation(operation.operationId);
+        operation.status = 'CANCELLED';
+        logger.info(`Cancel requested for operation ${operation.operationId}`);
+      } catch (error) {
+        logger.warning(error.message);
+      }
+    })
+  );
+}
+
+/**
+ * Log what a cancelled run submitted, completed and abandoned
+ * @param {Object[]} results - Results returned by purgeResource
+ * @returns {string} One-line summary
+ */
+function reportCancellation(results) {
+  const submitted = listSubmittedOperations(results);
+  const count = status =>
+    submitted.filter(({ operation }) => operation.status === status).length;
+
+  logger.info('');
+  logger.info('Submitted operations:');
+  if (submitted.length === 0) {
+    logger.info('  none');
+  }
+  for (const { result, kind, operation } of submitted) {
+    const state =
+      operation.status === 'IN_PROGRESS'
+        ? 'ABANDONED (may still complete)'
+        : operation.status;
+    logger.info(
+      `  ${result.resource} ${kind} batch ${operation.batch}: ` +
+        `${operation.operationId} ${state}`
+    );
+  }
+
+  const notStarted = results.filter(
+    result =>
+      result.status === 'CANCELLED' &&
+      result.operations.length === 0 &&
+      result.prefetchOperations.length === 0
+  );
+  if (notStarted.length > 0) {
+    logger.info(
+      `Nothing submitted for: ${notStarted.map(result => result.resource).join(', ')}`
+    );
+  }
+
+  return (
+    `${submitted.length} operation(s) submitted: ${count('DONE')} done, ` +
+    `${count('ERROR')} failed, ${count('CANCELLED')} cancelled, ` +
+    `${count('IN_PROGRESS')} abandoned`
+  );
+}
+
+/**
+ * Resource summary
+ * @typedef {Object} ResourceSummary
+ * @property {string} id - Resource ID
+ * @property {string|null} cname - Primary hostname
+ * @property {string[]} secondaryHostnames - Additional hostnames
+ * @property {string|null} originGroupId - Origin group ID
+ * @property {string|null} originGroupName - Origin group name
+ * @property {boolean} active - Whether the resource serves traffic
+ */
+
+/**
+ * Summarize a CDN resource for the list-resources and resource outputs
+ * @param {Object} resource - Resource from the CDN API
+ * @returns {ResourceSummary} Resource summary
+ */
+function summarizeResource(resource) {
+  return {
+    id: resource.id,
+    cname: resource.cname || null,
+    secondaryHostnames: getSecondaryHostnames(resource),
+    originGroupId:
+      resource.originGroupId != null ? String(resource.originGroupId) : null,
+    originGroupName: resource.originGroupName || null,
+    active: resource.active === true,
+  };
+}
+
+/**
+ * Check that a resource may be purged: it must be active and, when the target
+ * names an expected CNAME, serve that hostname
+ * @param {ResourceSummary} details - Resolved resource
+ * @param {import('./resources').ResourceTarget} target - Requested resource
+ * @param {string} [mode='fail'] - 'fail' throws, 'warn' only logs a warning
+ * @throws {Error} In 'fail' mode, if a check does not pass
+ */
+function checkResource(details, target, mode = 'fail') {
+  const problems = [];
+  if (!details.active) {
+    problems.push(`CDN resource ${details.id} (${details.cname}) is inactive`);
+  }
+  if (target.expectedCname) {
+    const expected = normalizeHostname(target.expectedCname);
+    const hostnames = [details.cname || '', ...details.secondaryHostnames];
+    if (!hostnames.some(hostname => normalizeHostname(hostname) === expected)) {
+      problems.push(
+        `CDN resource ${details.id} serves ${hostnames.filter(Boolean).join(', ') || 'no hostname'}, ` +
+          `not the expected ${target.expectedCname}`
+      );
+    }
+  }
+
+  for (const problem of problems) {
+    if (mode === 'warn') {
+      logger.warning(problem);
+    } else {
+      throw new Error(
+        `${problem}. Set resource-check: warn to purge it anyway.`
+      );
+    }
+  }
+}
+
+/**
+ * List the CDN resources of a folder and publish them as the resources output
+ * @param {YandexCDNClient} client - CDN client
+ * @param {string} folderId - Folder ID
+ * @param {ActionIO} io - Output sink
+ * @returns {Promise<Object[]>} Resource summaries
+ */
+async function runResourceList(client, folderId, io) {
+  const resources = (await client.listResources(folderId)).map(
+    summarizeResource
+  );
+
+  logger.startGroup(`CDN Resources (${resources.length})`);
+  for (const resource of resources) {
+    const secondary = resource.secondaryHostnames.length
+      ? ` (also ${resource.secondaryHostnames.join(', ')})`
+      : '';
+    logger.info(
+      `  ${resource.id}: ${resource.cname}${secondary}` +
+        (resource.active ? '' : ' [inactive]')
+    );
+  }
+  logger.endGroup();
+
+  io.setOutput('resources', JSON.stringify(resources));
+  return resources;
+}
+
+/**
+ * Publish per-resource results as action outputs
+ * @param {Object[]} results - Results returned by purgeResource
+ * @param {ActionIO} io - Output sink
+ */
+function setResourceOutputs(results, io) {
+  const tagged = key =>
+    results.flatMap(result =>
+      result[key].map(operation => ({
+        resourceId: result.resourceId,
+        ...operation,
+      }))
+    );
+  const operations = tagged('operations');
+  const prefetchOperations = tagged('prefetchOperations');
+  const verification = results.flatMap(result =>
+    (result.verification || []).map(entry => ({
+      resourceId: result.resourceId,
+      ...entry,
+    }))
+  );
+  const processed = results.filter(result => result.status !== 'SKIPPED');
+
+  io.setOutput('resources', JSON.stringify(results));
+  // One slot per resources entry, empty for unresolved ones, so the lists
+  // line up with the resources output
+  if (results.some(result => result.details)) {
+    const joined = field =>
+      results.map(result => result.details?.[field] ?? '').join(',');
+    io.setOutput('resource-id', joined('id'));
+    io.setOutput('resource-cname', joined('cname'));
+    io.setOutput('origin-group-id', joined('originGroupId'));
+    io.setOutput('resource-active', joined('active'));
+  }
+  if (operations.length > 0) {
+    io.setOutput(
+      'operation-id',
+      operations.map(operation => operation.operationId).join(',')
+    );
+    io.setOutput('operations', JSON.stringify(operations));
+  }
+  if (processed.length > 0) {
+    io.setOutput('status', aggregateStatus(processed));
+  }
+  if (prefetchOperations.length > 0) {
+    io.setOutput('prefetch-operations', JSON.stringify(prefetchOperations));
+  }
+  if (verification.length > 0) {
+    io.setOutput('verification', JSON.stringify(verification));
+  }
+}
+
 /**
  * Main action execution
+ * @param {ActionIO} [io] - Inputs and outputs (default: GitHub Actions runtime)
  */
-async function run() {
+async function run(io = ACTIONS_IO) {
+  const controller = new AbortController();
+  const removeSignalHandlers = handleShutdownSignals(controller);
+
   try {
-    core.info('=== Yandex CDN Invalidator Started ===');
-    core.info('');
+    logger.info('=== Yandex CDN Invalidator Started ===');
+    logger.info('');
 
     // Get and validate inputs
-    let resourceId = core.getInput('resource-id');
-    const resourceCname = core.getInput('resource-cname');
-    const folderId = core.getInput('folder-id');
-    const skipNotFound = core.getInput('skip-not-found') === 'true';
-    const pathsInput = core.getInput('paths');
-    const serviceAccountKeyJson = core.getInput('service-account-key');
-    const iamToken = core.getInput('iam-token');
-    const wait = core.getInput('wait') === 'true';
-    const timeoutInput = core.getInput('timeout');
-    const endpoint = core.getInput('endpoint');
-
-    if (!resourceId && !resourceCname) {
-      throw new Error('Either resource-id or resource-cname must be provided');
-    }
-
-    if (resourceId && resourceCname) {
+    const resourceIdInput = io.getInput('resource-id');
+    const resourceCnameInput = io.getInput('resource-cname');
+    const resourcesInput = io.getInput('resources');
+    const concurrencyInput = io.getInput('resource-concurrency');
+    const batchConcurrencyInput = io.getInput('batch-concurrency');
+    const optimize = io.getInput('optimize-paths') !== 'false';
+    const collapseThresholdInput = io.getInput('collapse-threshold');
+    const fullPurgeThresholdInput = io.getInput('full-purge-threshold');
+    const queryStrings = io.getInput('query-strings') || 'keep';
+    const folderId = io.getInput('folder-id');
+    const skipNotFound = io.getInput('skip-not-found') === 'true';
+    const expectedCnameInput = io.getInput('expected-cname');
+    const resourceCheck = io.getInput('resource-check') || 'fail';
+    if (!['fail', 'warn'].includes(resourceCheck)) {
       throw new Error(
-        'Only one of resource-id or resource-cname must be provided'
+        `Invalid resource-check value: "${resourceCheck}". Expected one of: fail, warn`
+      );
+    }
+    const pathsInput = io.getInput('paths');
+    const fullPurge = io.getInput('full-purge') === 'true';
+    const fullPurgeRefsInput = io.getInput('full-purge-refs');
+    const refInput = io.getInput('ref');
+    const pathsFile = io.getInput('paths-file');
+    const pathsFromDiff = io.getInput('paths-from-diff') === 'true';
+    const diffBase = io.getInput('diff-base');
+    const diffHead = io.getInput('diff-head');
+    const pathMappingsInput = io.getInput('path-mappings');
+    const githubToken = io.getInput('github-token');
+    const repository = io.getInput('repository');
+    const prefetch = io.getInput('prefetch') === 'true';
+    const prefetchPathsInput = io.getInput('prefetch-paths');
+    const serviceAccountKeyJson = io.getInput('service-account-key');
+    const iamToken = io.getInput('iam-token');
+    const serviceAccountId = io.getInput('service-account-id');
+    const oidcAudience = io.getInput('oidc-audience');
+    const tokenExchangeEndpoint = io.getInput('token-exchange-endpoint');
+    const useInstanceMetadata = io.getInput('use-instance-metadata') === 'true';
+    const metadataHost = io.getInput('metadata-host');
+    const wait = io.getInput('wait') === 'true';
+    const timeoutInput = io.getInput('timeout');
+    const retryMaxAttemptsInput = io.getInput('retry-max-attempts');
+    const retryInitialDelayInput = io.getInput('retry-initial-delay');
+    const retryMaxDelayInput = io.getInput('retry-max-delay');
+    const retryJitter = io.getInput('retry-jitter') || 'full';
+    const rateLimitInput = io.getInput('rate-limit');
+    const rateLimitBurstInput = io.getInput('rate-limit-burst');
+    const endpoint = io.getInput('endpoint');
+    const operationEndpointInput = io.getInput('operation-endpoint');
+    const iamEndpointInput = io.getInput('iam-endpoint');
+    const caFile = io.getInput('ca-certificates');
+    const dryRun = io.getInput('dry-run') === 'true';
+    const operationIdsInput = io.getInput('operation-ids');
+    const listResources = io.getInput('list-resources') === 'true';
+    const cancelOnAbort = io.getInput('cancel-on-abort') === 'true';
+    const verifyExpectations = parseExpectations({
+      etag: io.getInput('verify-etag'),
+      lastModified: io.getInput('verify-last-modified'),
+      sha256: io.getInput('verify-sha256'),
+      header: io.getInput('verify-header'),
+    });
+    const verifyPathsInput = io.getInput('verify-paths');
+    const verifySampleSizeInput = io.getInput('verify-sample-size');
+    const verifyTimeoutInput = io.getInput('verify-timeout');
+    const verifyEndpoint = io.getInput('verify-endpoint');
+
+    const endpoints = resolveEndpoints({
+      endpoint,
+      operationEndpoint: operationEndpointInput,
+      iamEndpoint: iamEndpointInput,
+    });
+    const authOptions = {
+      iamEndpoint: endpoints.iam,
+      caFile,
+      serviceAccountId,
+      oidcAudience,
+      tokenExchangeEndpoint,
+      useInstanceMetadata,
+      metadataHost,
+    };
+    const clientOptions = {
+      operationEndpoint: endpoints.operation,
+      caFile,
+      retry: parseRetryOptions({
+        maxAttempts: retryMaxAttemptsInput,
+        initialDelay: retryInitialDelayInput,
+        maxDelay: retryMaxDelayInput,
+        jitter: retryJitter,
+      }),
+      rateLimit: parseRateLimit(rateLimitInput, rateLimitBurstInput),
+      signal: controller.signal,
+    };
+
+    // List the folder's resources instead of purging
+    if (listResources) {
+      if (!folderId) {
+        throw new Error(
+          'folder-id must be provided when list-resources is enabled'
+        );
+      }
+
+      logger.info(`Listing CDN resources in folder: ${folderId}`);
+      logger.info('No purge will be started');
+      logger.info('');
+
+      const credentials = createCredentialProvider(
+        serviceAccountKeyJson,
+        iamToken,
+        authOptions
+      );
+      await credentials.getToken();
+      const client = new YandexCDNClient(
+        credentials,
+        endpoints.cdn,
+        clientOptions
       );
+      await runResourceList(client, folderId, io);
+
+      logger.info('');
+      logger.info('=== Yandex CDN Invalidator Completed Successfully ===');
+      return;
     }
 
-    if (resourceId) {
-      // Validate resource ID
-      validateResourceId(resourceId);
+    // Attach to existing operations instead of starting a new purge
+    if (operationIdsInput) {
+      const operationIds = parseList(operationIdsInput);
+      const timeout = parsePositiveInt('timeout', timeoutInput);
+
+      logger.info(`Checking existing operations: ${operationIds.join(', ')}`);
+      logger.info('No new purge will be started');
+      logger.info('');
+
+      const credentials = createCredentialProvider(
+        serviceAccountKeyJson,
+        iamToken,
+        authOptions
+      );
+      await credentials.getToken();
+      const client = new YandexCDNClient(
+        credentials,
+        endpoints.cdn,
+        clientOptions
+      );
+      await runOperationCheck(client, operationIds, { wait, timeout }, io);
+
+      logger.info('');
+      logger.info('=== Yandex CDN Invalidator Completed Successfully ===');
+      return;
     }
 
-    if (resourceCname && !folderId) {
+    const targets = parseResourceTargets({
+      resourceIdInput,
+      resourceCnameInput,
+      resourcesInput,
+      expectedCnameInput,
+    });
+
+    for (const target of targets) {
+      if (target.id) {
+        // Validate resource ID
+        validateResourceId(target.id);
+      }
+    }
+
+    if (targets.some(target => target.cname) && !folderId) {
       throw new Error(
         'folder-id must be provided when resource-cname is provided'
       );
     }
 
-    // Parse timeout
-    const timeout = parseInt(timeoutInput, 10);
-    if (isNaN(timeout) || timeout <= 0) {
+    const timeout = parsePositiveInt('timeout', timeoutInput);
+    const concurrency = parsePositiveInt(
+      'resource-concurrency',
+      concurrencyInput || '1'
+    );
+    const batchConcurrency = parsePositiveInt(
+      'batch-concurrency',
+      batchConcurrencyInput || '5'
+    );
+    const collapseThreshold = parseInt(collapseThresholdInput || '0', 10);
+    const fullPurgeThreshold = parseInt(fullPurgeThresholdInput || '0', 10);
+    if (isNaN(collapseThreshold) || collapseThreshold < 0) {
       throw new Error(
-        `Invalid timeout value: "${timeoutInput}". Must be a positive integer.`
+        `Invalid collapse-threshold value: "${collapseThresholdInput}". Must be a non-negative integer.`
       );
     }
+    if (isNaN(fullPurgeThreshold) || fullPurgeThreshold < 0) {
+      throw new Error(
+        `Invalid full-purge-threshold value: "${fullPurgeThresholdInput}". Must be a non-negative integer.`
+      );
+    }
+
+    // Paths are validated and normalized before any API call. Hosts of full
+    // URLs are checked against each resource once it is resolved
+    const sharedPathOptions = { allowedHosts: null, queryStrings };
+    const sharedRawPaths = [
+      ...parseList(pathsInput),
+      ...parseList(prefetchPathsInput),
+      ...parseList(verifyPathsInput),
+    ];
 
     // Parse paths
-    const paths = parsePaths(pathsInput);
+    const paths = parsePaths(pathsInput, sharedPathOptions);
+
+    if (pathsFile) {
+      const fileEntries = readPathsFile(pathsFile);
+      sharedRawPaths.push(...fileEntries);
+      const filePaths = formatPaths(fileEntries, sharedPathOptions);
+      logger.info(`Paths from file ${pathsFile}: ${filePaths.length}`);
+      paths.push(...filePaths.filter(path => !paths.includes(path)));
+    }
+
+    if (fullPurge && pathsFile) {
+      throw new Error('full-purge cannot be combined with paths-file');
+    }
+
+    if (pathsFromDiff) {
+      if (fullPurge) {
+        throw new Error('full-purge cannot be combined with paths-from-diff');
+      }
+
+      logger.startGroup('Changed Paths');
+      const diffPaths = await getDiffPaths({
+        token: githubToken,
+        repository,
+        base: diffBase,
+        head: diffHead,
+        mappingsInput: pathMappingsInput,
+      });
+      logger.info(
+        `Paths from diff (${diffPaths.length}): ${JSON.stringify(diffPaths)}`
+      );
+      logger.endGroup();
+
+      paths.push(
+        ...formatPaths(diffPaths, sharedPathOptions).filter(
+          path => !paths.includes(path)
+        )
+      );
+
+      if (paths.length === 0 && targets.every(target => !target.paths)) {
+        logger.info('No changed files map to CDN paths, nothing to purge');
+        io.setOutput('status', 'SKIPPED');
+        return;
+      }
+    }
+
+    if (fullPurge && paths.length > 0) {
+      throw new Error('full-purge cannot be combined with paths');
+    }
+
+    // Prefetch purged paths unless a separate list is given
+    const prefetchPaths = prefetchPathsInput
+      ? parsePaths(prefetchPathsInput, sharedPathOptions)
+      : null;
+    const allowedRefs = parseList(fullPurgeRefsInput);
+    const ref = refInput || process.env.GITHUB_REF;
+
+    // Resources listed with their own paths use them instead of shared paths
+    const targetPaths = targets.map(target =>
+      target.paths ? formatPaths(target.paths, sharedPathOptions) : paths
+    );
+    const targetHosts = targets.map(target =>
+      collectUrlHosts(
+        target.paths
+          ? [
+              ...target.paths,
+              ...parseList(prefetchPathsInput),
+              ...parseList(verifyPathsInput),
+            ]
+          : sharedRawPaths
+      )
+    );
+
+    // A root wildcard purges the whole cache, so it must go through the
+    // full-purge opt-in and the full-purge-refs allowlist instead
+    for (const path of targetPaths.flat()) {
+      if (ROOT_WILDCARD.test(path)) {
+        throw new Error(
+          `Path "${path}" would purge the whole cache. ` +
+            'Set full-purge: true instead of paths to purge all cache.'
+        );
+      }
+    }
+
+    if (targetPaths.some(list => list.length === 0)) {
+      validateFullPurge(fullPurge, allowedRefs, ref);
+      if (prefetch && !prefetchPaths) {
+        throw new Error(
+          'prefetch-paths must be provided when prefetch is used with full-purge'
+        );
+      }
+    }
+
+    const plans = targets.map((target, index) => {
+      const original = targetPaths[index];
+      if (original.length === 0) {
+        return { paths: [], fullPurge: true, prefetchPaths };
+      }
+      if (!optimize) {
+        return {
+          paths: original,
+          fullPurge: false,
+          prefetchPaths: prefetchPaths || original,
+        };
+      }
+
+      const plan = optimizePaths(original, {
+        collapseThreshold,
+        fullPurgeThreshold,
+      });
+
+      logger.startGroup(`Path Plan: ${describeTarget(target)}`);
+      for (const line of describePlan(original, plan)) {
+        logger.info(line);
+      }
+      logger.endGroup();
+
+      // Escalation is guarded by the same ref allowlist as full-purge
+      let escalate = plan.fullPurge;
+      if (
+        escalate &&
+        allowedRefs.length > 0 &&
+        !isRefAllowed(ref, allowedRefs)
+      ) {
+        logger.warning(
+          `Full purge escalation for ${describeTarget(target)} is not allowed ` +
+            `for ref "${ref || 'unknown'}", purging ${plan.paths.length} paths instead`
+        );
+        escalate = false;
+      }
+
+      // Prefetch the files themselves: collapsed "dir/*" wildcards cannot be
+      // prefetched
+      return {
+        paths: escalate ? [] : plan.paths,
+        fullPurge: escalate,
+        prefetchPaths: prefetchPaths || [...new Set(original)],
+      };
+    });
+
+    let verify = null;
+    if (verifyExpectations) {
+      if (!wait) {
+        throw new Error(
+          'Freshness verification requires wait: true, so it starts after the purge is done'
+        );
+      }
+      verify = {
+        expect: verifyExpectations,
+        paths: verifyPathsInput
+          ? parsePaths(verifyPathsInput, sharedPathOptions)
+          : null,
+        sampleSize: parsePositiveInt(
+          'verify-sample-size',
+          verifySampleSizeInput || String(DEFAULT_SAMPLE_SIZE)
+        ),
+        endpoint: verifyEndpoint || null,
+        timeoutSeconds: parsePositiveInt(
+          'verify-timeout',
+          verifyTimeoutInput || '300'
+        ),
+        caFile,
+        signal: controller.signal,
+      };
+    }
+
+    if (prefetch && !wait) {
+      logger.warning(
+        'Prefetch without wait may run before the purge completes and cache stale content'
+      );
+    }
 
     // Log configuration (without sensitive data)
-    core.info('Configuration:');
-    core.info(`  Resource ID: ${resourceId}`);
-    core.info(`  Resource CNAME: ${resourceCname}`);
-    core.info(`  Skip not found: ${skipNotFound}`);
-    core.info(
+    logger.info('Configuration:');
+    logger.info(
+      `  Resources: ${targets.map(target => describeTarget(target)).join(', ')}`
+    );
+    logger.info(`  Resource concurrency: ${concurrency}`);
+    logger.info(`  Batch concurrency: ${batchConcurrency}`);
+    logger.info(`  Skip not found: ${skipNotFound}`);
+    logger.info(`  Resource check: ${resourceCheck}`);
+    logger.info(
       `  Paths: ${paths.length > 0 ? JSON.stringify(paths) : 'ALL (full purge)'}`
     );
-    core.info(`  Wait for completion: ${wait}`);
-    core.info(`  Timeout: ${timeout}s (${(timeout / 60).toFixed(1)} minutes)`);
-    core.info(`  Endpoint: ${endpoint}`);
-    core.info(
-      `  Auth method: ${iamToken ? 'IAM Token' : 'Service Account Key'}`
+    for (const target of targets.filter(target => target.paths)) {
+      logger.info(
+        `  Paths for ${describeTarget(target)}: ${JSON.stringify(target.paths)}`
+      );
+    }
+    logger.info(
+      `  Prefetch: ${prefetch ? JSON.stringify(prefetchPaths || 'purged paths') : 'disabled'}`
+    );
+    if (verify) {
+      logger.info(
+        `  Verify: ${verify.paths ? JSON.stringify(verify.paths) : `up to ${verify.sampleSize} purged path(s)`} ` +
+          `within ${verify.timeoutSeconds}s${verify.endpoint ? ` via ${verify.endpoint}` : ''}`
+      );
+    }
+    logger.info(`  Dry run: ${dryRun}`);
+    logger.info(`  Wait for completion: ${wait}`);
+    logger.info(
+      `  Timeout: ${timeout}s (${(timeout / 60).toFixed(1)} minutes)`
+    );
+    if (clientOptions.rateLimit) {
+      const { requests, perSeconds, burst } = clientOptions.rateLimit;
+      logger.info(
+        `  Rate limit: ${requests} request(s) per ${perSeconds}s per resource (burst ${burst})`
+      );
+    }
+    logger.info(`  Endpoint: ${endpoints.cdn}`);
+    logger.info(`  Operations endpoint: ${endpoints.operation}`);
+    logger.info(`  IAM endpoint: ${endpoints.iam}`);
+    if (caFile) {
+      logger.info(`  CA certificates: ${caFile}`);
+    }
+    logger.info(
+      `  Auth method: ${describeAuthMethod({ iamToken, serviceAccountKeyJson, serviceAccountId, useInstanceMetadata })}`
     );
-    core.info('');
+    logger.info('');
 
     // Authenticate
-    core.startGroup('Authentication');
-    core.info('Authenticating with Yandex Cloud...');
-    const token = await getAuthToken(serviceAccountKeyJson, iamToken);
-    core.info('✓ Authentication successful');
-    core.endGroup();
-    core.info('');
+    logger.startGroup('Authentication');
+    logger.info('Authenticating with Yandex Cloud...');
+    const credentials = createCredentialProvider(
+      serviceAccountKeyJson,
+      iamToken,
+      authOptions
+    );
+    await credentials.getToken();
+    logger.info('✓ Authentication successful');
+    logger.endGroup();
+    logger.info('');
 
     // Create CDN client
-    const client = new YandexCDNClient(token, endpoint);
+    const client = new YandexCDNClient(
+      credentials,
+      endpoints.cdn,
+      clientOptions
+    );
 
-    if (resourceCname) {
-      const resource = await client.getResourceByCname(resourceCname, folderId);
+    // Purge every resource, up to `concurrency` at a time
+    const results = await mapWithConcurrency(
+      targets,
+      concurrency,
+      (target, index) =>
+        purgeResource(client, target, {
+          ...plans[index],
+          prefetch,
+          wait,
+          timeout,
+          batchConcurrency,
+          folderId,
+          skipNotFound,
+          resourceCheck,
+          dryRun,
+          verify,
+          urlHosts: targetHosts[index],
+        })
+    );
 
-      if (!resource) {
-        if (skipNotFound) {
-          core.warning('Resource not found, skipping...');
-          return;
-        }
+    if (controller.signal.aborted && cancelOnAbort) {
+      await cancelPendingOperations(client, results);
+    }
+    setResourceOutputs(results, io);
 
-        throw new Error(`Resource not found: ${resourceCname}`);
-      }
+    if (dryRun) {
+      io.setOutput(
+        'plan',
+        JSON.stringify(
+          results.map(({ resource, resourceId, status, plan, error }) => ({
+            resource,
+            resourceId,
+            status,
+            ...plan,
+            error,
+          }))
+        )
+      );
+    }
 
-      resourceId = resource.id;
+    logger.info('');
+    logger.info('Results:');
+    for (const result of results) {
+      logger.info(
+        `  ${result.resource}: ${result.status}` +
+          (result.error ? ` - ${result.error}` : '')
+      );
     }
 
-    // Initiate cache purge
-    await client.purgeCache(resourceId, paths, {
-      wait,
-      timeoutSeconds: timeout,
-    });
+    if (controller.signal.aborted) {
+      const summary = reportCancellation(results);
+      throw new Error(`${controller.signal.reason.message}. ${summary}`);
+    }
 
-    core.info('');
-    core.info('=== Yandex CDN Invalidator Completed Successfully ===');
+    const failed = results.filter(result => result.status === 'ERROR');
+    if (failed.length === 1 && results.length === 1) {
+      throw new Error(failed[0].error);
+    }
+    if (failed.length > 0) {
+      throw new Error(
+        `Cache purge failed for ${failed.length} of ${results.length} resources: ` +
+          failed.map(result => result.resource).join(', ')
+      );
+    }
+
+    logger.info('');
+    logger.info(
+      dryRun
+        ? '=== Yandex CDN Invalidator Dry Run Completed (nothing purged) ==='
+        : '=== Yandex CDN Invalidator Completed Successfully ==='
+    );
   } catch (error) {
     // Log error details
-    core.error('');
-    core.error('=== Action Failed ===');
-    core.error(`Error: ${error.message}`);
+    logger.error('');
+    logger.error('=== Action Failed ===');
+    logger.error(`Error: ${error.message}`);
 
     // Log stack trace for debugging
     if (error.stack) {
-      core.debug('Stack trace:');
-      core.debug(error.stack);
+      logger.debug('Stack trace:');
+      logger.debug(error.stack);
     }
 
     // Set failed status
-    core.setFailed(error.message);
+    io.setFailed(error.message);
+  } finally {
+    removeSignalHandlers();
   }
 }
 
@@ -178,4 +1526,21 @@ if (require.main === module) {
   run();
 }
 
-module.exports = { run, parsePaths, validateResourceId };
+module.exports = {
+  run,
+  parsePaths,
+  parseList,
+  validateResourceId,
+  isRefAllowed,
+  validateFullPurge,
+  resolveRepository,
+  parseRetryOptions,
+  parseRateLimit,
+  aggregateStatus,
+  purgeResource,
+  checkOperations,
+  cancelPendingOperations,
+  reportCancellation,
+  runResourceList,
+  setResourceOutputs,
+};
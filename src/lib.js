@@ -0,0 +1,124 @@
+/**
+ * Programmatic API for embedding the Yandex CDN client in other Node tools
+ *
+ * @example
+ * const { createClient, NotFoundError } = require('yandex-cdn-invalidator');
+ *
+ * const client = createClient({ serviceAccountKey: './key.json' });
+ * try {
+ *   const results = await client.purgeCache('bc8abcdef123', ['/index.html'], {
+ *     wait: true,
+ *   });
+ * } catch (error) {
+ *   if (error instanceof NotFoundError) {
+ *     // error.resourceId, error.status === 404
+ *   }
+ * }
+ *
+ * Logs go through @actions/core by default; call setLogger() with
+ * createConsoleLogger() or your own logger to route them elsewhere.
+ * @module lib
+ */
+
+const YandexCDNClient = require('./cdn-client');
+const {
+  CredentialProvider,
+  createCredentialProvider,
+  getAuthToken,
+} = require('./auth');
+const { resolveEndpoints } = require('./endpoints');
+const { normalizePath, normalizePaths } = require('./path-normalizer');
+const { optimizePaths } = require('./path-optimizer');
+const { setLogger, createConsoleLogger } = require('./logger');
+const { verifyFreshness } = require('./verify');
+const {
+  CdnError,
+  ValidationError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ApiError,
+  OperationFailedError,
+  OperationTimeoutError,
+  CancelledError,
+} = require('./errors');
+
+/**
+ * Options for createClient
+ * @typedef {Object} ClientOptions
+ * @property {string} [iamToken] - Pre-generated IAM token
+ * @property {string|Object} [serviceAccountKey] - Authorized key object, JSON,
+ *   base64-encoded JSON or a path to a key file
+ * @property {string} [serviceAccountId] - Service account for GitHub OIDC
+ * @property {string} [oidcAudience] - GitHub OIDC token audience
+ * @property {string} [tokenExchangeEndpoint] - OIDC token exchange URL
+ * @property {boolean} [useInstanceMetadata] - Use the service account attached
+ *   to this VM or node
+ * @property {string} [metadataHost] - Instance metadata service host
+ * @property {CredentialProvider} [credentials] - Ready credential provider;
+ *   other credential options are ignored
+ * @property {string} [endpoint] - CDN API endpoint
+ * @property {string} [operationEndpoint] - Operations API endpoint
+ * @property {string} [iamEndpoint] - IAM API endpoint
+ * @property {string} [caFile] - Extra CA bundle to trust
+ * @property {import('./cdn-client').RetryOptions} [retry] - Retry policy for
+ *   cache requests
+ * @property {import('./rate-limiter').RateLimitOptions} [rateLimit] - Space
+ *   purge and prefetch requests per resource
+ * @property {AbortSignal} [signal] - Cancels requests and waits
+ */
+
+/**
+ * Create a CDN client with credentials resolved like the action does:
+ * IAM token, service account key, GitHub OIDC, then instance metadata
+ * Tokens are issued lazily on the first request.
+ * @param {ClientOptions} [options] - Credentials and connection options
+ * @returns {YandexCDNClient} CDN client
+ * @throws {ValidationError} If no usable credentials are given
+ */
+function createClient(options = {}) {
+  const endpoints = resolveEndpoints(options);
+  const serviceAccountKey =
+    options.serviceAccountKey && typeof options.serviceAccountKey === 'object'
+      ? JSON.stringify(options.serviceAccountKey)
+      : options.serviceAccountKey;
+
+  const credentials =
+    options.credentials ||
+    createCredentialProvider(serviceAccountKey, options.iamToken, {
+      ...options,
+      iamEndpoint: endpoints.iam,
+    });
+
+  return new YandexCDNClient(credentials, endpoints.cdn, {
+    operationEndpoint: endpoints.operation,
+    caFile: options.caFile,
+    retry: options.retry,
+    rateLimit: options.rateLimit,
+    signal: options.signal,
+  });
+}
+
+module.exports = {
+  createClient,
+  YandexCDNClient,
+  CredentialProvider,
+  createCredentialProvider,
+  getAuthToken,
+  resolveEndpoints,
+  normalizePath,
+  normalizePaths,
+  optimizePaths,
+  verifyFreshness,
+  setLogger,
+  createConsoleLogger,
+  CdnError,
+  ValidationError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ApiError,
+  OperationFailedError,
+  OperationTimeoutError,
+  CancelledError,
+};
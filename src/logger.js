@@ -0,0 +1,95 @@
+/**
+ * Logging abstraction, so the purge flow and the CDN client also run outside
+ * GitHub Actions
+ * @module logger
+ */
+
+const core = require('@actions/core');
+
+/**
+ * Logger interface
+ * @typedef {Object} Logger
+ * @property {(message: string) => void} debug - Verbose diagnostics
+ * @property {(message: string) => void} info - Progress messages
+ * @property {(message: string) => void} warning - Non-fatal problems
+ * @property {(message: string) => void} error - Errors
+ * @property {(name: string) => void} startGroup - Start a collapsible section
+ * @property {() => void} endGroup - End the current section
+ * @property {(value: string) => void} setSecret - Mask a value in later output
+ */
+
+/**
+ * Logger writing through the GitHub Actions runtime
+ * @type {Logger}
+ */
+const actionsLogger = {
+  debug: message => core.debug(message),
+  info: message => core.info(message),
+  warning: message => core.warning(message),
+  error: message => core.error(message),
+  startGroup: name => core.startGroup(name),
+  endGroup: () => core.endGroup(),
+  // Masking commands are only understood by the runner; elsewhere they
+  // would print the secret
+  setSecret: value =>
+    process.env.GITHUB_ACTIONS === 'true' && core.setSecret(value),
+};
+
+let current = actionsLogger;
+
+/**
+ * Create a logger writing plain text lines to a stream
+ * Secrets are not echoed by this module, so setSecret does nothing.
+ * @param {Object} [options] - Logger options
+ * @param {boolean} [options.verbose=false] - Print debug messages
+ * @param {boolean} [options.quiet=false] - Only print warnings and errors
+ * @param {NodeJS.WritableStream} [options.stream=process.stderr] - Output stream
+ * @returns {Logger} Console logger
+ */
+function createConsoleLogger(options = {}) {
+  const { verbose = false, quiet = false, stream = process.stderr } = options;
+  const write = line => stream.write(`${line}\n`);
+  const prefixed = (prefix, message) =>
+    write(message ? `${prefix}: ${message}` : '');
+
+  return {
+    debug: message => verbose && prefixed('debug', message),
+    info: message => !quiet && write(message),
+    warning: message => prefixed('warning', message),
+    error: message => prefixed('error', message),
+    startGroup: name => !quiet && write(`== ${name}`),
+    endGroup: () => {},
+    setSecret: () => {},
+  };
+}
+
+/**
+ * Replace the logger used by all modules
+ * @param {Logger|null} logger - New logger, or null for the Actions logger
+ */
+function setLogger(logger) {
+  current = logger || actionsLogger;
+}
+
+/**
+ * Logger forwarding to the logger set with setLogger
+ * Modules keep a reference to this object, so replacing the logger takes
+ * effect everywhere.
+ * @type {Logger}
+ */
+const logger = {
+  debug: message => current.debug(message),
+  info: message => current.info(message),
+  warning: message => current.warning(message),
+  error: message => current.error(message),
+  startGroup: name => current.startGroup(name),
+  endGroup: () => current.endGroup(),
+  setSecret: value => current.setSecret(value),
+};
+
+module.exports = {
+  logger,
+  setLogger,
+  createConsoleLogger,
+  actionsLogger,
+};
@@ -0,0 +1,70 @@
+/**
+ * IAM tokens from the instance metadata service of Compute VMs and Managed
+ * Kubernetes nodes with an attached service account
+ * @module metadata
+ */
+
+const axios = require('axios');
+const { AuthenticationError, fromHttpError } = require('./errors');
+
+const DEFAULT_METADATA_HOST = '169.254.169.254';
+const TOKEN_PATH =
+  '/computeMetadata/v1/instance/service-accounts/default/token';
+
+/**
+ * Get the token URL for a metadata host
+ * @param {string} [host] - Metadata host, optionally with a port or scheme
+ * @returns {string} Token URL
+ */
+function getMetadataTokenUrl(host) {
+  const base = (host || DEFAULT_METADATA_HOST).trim().replace(/\/+$/, '');
+  return `${/^https?:\/\//.test(base) ? base : `http://${base}`}${TOKEN_PATH}`;
+}
+
+/**
+ * Get the IAM token of the service account attached to this instance
+ * The metadata service is link-local, so proxy settings are ignored.
+ * @param {Object} [options] - Options
+ * @param {string} [options.metadataHost='169.254.169.254'] - Metadata host
+ * @returns {Promise<{ iamToken: string, expiresAt: number|null }>} IAM token
+ *   and its expiry as a timestamp in ms
+ * @throws {AuthenticationError} If the metadata service is unreachable or returns no token
+ */
+async function requestMetadataToken(options = {}) {
+  const url = getMetadataTokenUrl(options.metadataHost);
+
+  try {
+    const response = await axios.get(url, {
+      headers: { 'Metadata-Flavor': 'Google' },
+      timeout: 5000,
+      proxy: false,
+    });
+
+    if (!response.data || !response.data.access_token) {
+      throw new AuthenticationError('Invalid response from metadata service');
+    }
+
+    const expiresIn = Number(response.data.expires_in);
+    return {
+      iamToken: response.data.access_token,
+      expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    };
+  } catch (error) {
+    const reason = error.response
+      ? `${error.response.status} - ${error.response.data?.message || error.message}`
+      : error.message;
+    throw fromHttpError(
+      `Failed to get IAM token from instance metadata service (${url}): ${reason}. ` +
+        'Ensure the runner runs in Yandex Cloud with a service account attached.',
+      error,
+      {},
+      AuthenticationError
+    );
+  }
+}
+
+module.exports = {
+  requestMetadataToken,
+  getMetadataTokenUrl,
+  DEFAULT_METADATA_HOST,
+};
@@ -0,0 +1,255 @@
+/**
+ * Purge path validation and URL normalization
+ * @module path-normalizer
+ */
+
+// Characters allowed unencoded in a path segment (RFC 3986 pchar) plus the "*" wildcard
+const SEGMENT_CHARS = /^[A-Za-z0-9\-._~!$&'()*+,;=:@]$/;
+// Characters allowed unencoded in a query string
+const QUERY_CHARS = /^[A-Za-z0-9\-._~!$&'()+,;=:@/?]$/;
+const URL_PREFIX = /^(?:[a-z][a-z0-9+.-]*:)?\/\//i;
+const QUERY_MODES = ['keep', 'strip', 'reject'];
+
+/**
+ * Normalize a hostname for comparison
+ * @param {string} hostname - Hostname, possibly with a trailing dot or upper case
+ * @returns {string} Lower-case hostname without a trailing dot
+ */
+function normalizeHostname(hostname) {
+  return String(hostname).trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Get the host of a full URL path
+ * @param {string} input - Raw path or URL
+ * @returns {string|null} Normalized host, or null if the input is not a full URL
+ */
+function getUrlHost(input) {
+  const value = String(input).trim();
+  if (!URL_PREFIX.test(value)) {
+    return null;
+  }
+  try {
+    return normalizeHostname(
+      new URL(value.startsWith('//') ? `https:${value}` : value).hostname
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate the query string handling mode
+ * @param {string} queryStrings - Query string mode
+ * @throws {Error} If the mode is unknown
+ */
+function validateQueryMode(queryStrings) {
+  if (!QUERY_MODES.includes(queryStrings)) {
+    throw new Error(
+      `Invalid query-strings value "${queryStrings}". Expected one of: ${QUERY_MODES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Percent-encode a string, keeping allowed characters and valid %XX escapes
+ * @param {string} value - Raw string
+ * @param {RegExp} allowed - Single-character pattern of characters kept as is
+ * @returns {string} Encoded string
+ */
+function encodeComponent(value, allowed) {
+  let result = '';
+
+  for (let i = 0; i < value.length; ) {
+    if (
+      value[i] === '%' &&
+      /^[0-9A-Fa-f]{2}$/.test(value.slice(i + 1, i + 3))
+    ) {
+      result += value.slice(i, i + 3).toUpperCase();
+      i += 3;
+      continue;
+    }
+
+    const char = String.fromCodePoint(value.codePointAt(i));
+    result += allowed.test(char) ? char : encodeURIComponent(char);
+    i += char.length;
+  }
+
+  return result;
+}
+
+/**
+ * Escape a file name so normalizePath reads it literally
+ * "%", "#", "?" and "*" are URL syntax in purge paths (escape, fragment, query
+ * string, wildcard), but ordinary characters in file names.
+ * @param {string} name - File name, e.g. from a build manifest or git diff
+ * @returns {string} Name with those characters percent-encoded
+ */
+function escapeFileName(name) {
+  return name.replace(
+    /[%#?*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Validate and normalize a single purge path
+ *
+ * Rules:
+ * - Full URLs ("https://host/path" or "//host/path") have their scheme and host
+ *   stripped; the host must be one of `allowedHosts`, unless it is null and
+ *   the caller checks the hosts itself (see getUrlHost)
+ * - Relative paths get a leading "/"
+ * - Segments are percent-encoded (spaces, non-ASCII, reserved characters);
+ *   existing %XX escapes are kept
+ * - "*" is a wildcard matching any characters and is only allowed in the path
+ * - "." and ".." segments, empty segments and control characters are rejected
+ * - Fragments (#...) are dropped; query strings follow `queryStrings`:
+ *   "keep" (encode and keep), "strip" (drop) or "reject" (fail)
+ * @param {string} input - Raw path or URL
+ * @param {Object} [options] - Normalization options
+ * @param {string[]|null} [options.allowedHosts=[]] - Hosts accepted in full
+ *   URLs; null accepts any host
+ * @param {string} [options.queryStrings='keep'] - Query string handling
+ * @returns {string} Normalized path
+ * @throws {Error} If the path is invalid
+ */
+function normalizePath(input, options = {}) {
+  const { allowedHosts = [], queryStrings = 'keep' } = options;
+  const fail = reason => {
+    throw new Error(`Invalid path "${input}": ${reason}`);
+  };
+
+  validateQueryMode(queryStrings);
+
+  let value = String(input).trim();
+  if (value === '') {
+    fail('path is empty');
+  }
+  if (
+    [...value].some(
+      char => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f
+    )
+  ) {
+    fail('contains control characters');
+  }
+
+  if (URL_PREFIX.test(value)) {
+    let url;
+    try {
+      url = new URL(value.startsWith('//') ? `https:${value}` : value);
+    } catch {
+      fail('not a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      fail(`unsupported URL scheme "${url.protocol}"`);
+    }
+
+    const host = normalizeHostname(url.hostname);
+    const allowed = (allowedHosts || []).map(normalizeHostname);
+    if (allowedHosts !== null && !allowed.includes(host)) {
+      fail(
+        allowed.length > 0
+          ? `host "${host}" does not match resource CNAME (${allowed.join(', ')})`
+          : 'full URLs are only accepted for a single resource given by resource-cname'
+      );
+    }
+
+    // Keep the original (unparsed) path and query to avoid double encoding
+    value = value.replace(/^(?:[a-z][a-z0-9+.-]*:)?\/\/[^/?#]*/i, '') || '/';
+  }
+
+  // Drop fragment
+  const hashIndex = value.indexOf('#');
+  if (hashIndex !== -1) {
+    value = value.slice(0, hashIndex);
+  }
+
+  // Split off query string
+  let query = null;
+  const queryIndex = value.indexOf('?');
+  if (queryIndex !== -1) {
+    query = value.slice(queryIndex + 1);
+    value = value.slice(0, queryIndex);
+  }
+
+  if (!value.startsWith('/')) {
+    value = `/${value}`;
+  }
+
+  const segments = value.slice(1).split('/');
+  segments.forEach((segment, index) => {
+    if (segment === '.' || segment === '..') {
+      fail('"." and ".." segments are not allowed');
+    }
+    if (segment === '' && index < segments.length - 1) {
+      fail('empty path segment');
+    }
+  });
+
+  let path;
+  try {
+    path =
+      '/' +
+      segments
+        .map(segment => encodeComponent(segment, SEGMENT_CHARS))
+        .join('/');
+  } catch {
+    fail('contains invalid Unicode characters');
+  }
+
+  if (query !== null) {
+    if (queryStrings === 'reject') {
+      fail('query strings are not allowed');
+    }
+    if (queryStrings === 'keep' && query.includes('*')) {
+      fail('wildcards are not allowed in query strings');
+    }
+    if (queryStrings === 'keep' && query !== '') {
+      path += `?${encodeComponent(query, QUERY_CHARS)}`;
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Validate and normalize a list of purge paths
+ * All paths are checked before any error is reported.
+ * @param {string[]} inputs - Raw paths or URLs
+ * @param {Object} [options] - Normalization options, as for normalizePath
+ * @returns {string[]} Normalized paths
+ * @throws {Error} Listing every invalid path
+ */
+function normalizePaths(inputs, options = {}) {
+  validateQueryMode(options.queryStrings || 'keep');
+
+  const paths = [];
+  const errors = [];
+
+  for (const input of inputs) {
+    try {
+      paths.push(normalizePath(input, options));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      errors.length === 1
+        ? errors[0]
+        : `${errors.length} invalid paths:\n  ${errors.join('\n  ')}`
+    );
+  }
+
+  return paths;
+}
+
+module.exports = {
+  escapeFileName,
+  getUrlHost,
+  normalizePath,
+  normalizePaths,
+  normalizeHostname,
+};
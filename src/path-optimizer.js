@@ -0,0 +1,152 @@
+/**
+ * Purge path set optimizer
+ * @module path-optimizer
+ */
+
+/**
+ * Convert a wildcard path into a regular expression
+ * "*" matches any sequence of characters, including "/"
+ * @param {string} pattern - Path containing "*"
+ * @returns {RegExp} Anchored regular expression
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Get the parent directory of a path, ignoring its query string
+ * @param {string} path - Path starting with "/"
+ * @returns {string} Parent directory ending with "/"
+ */
+function parentDirectory(path) {
+  const pathname = path.split('?')[0];
+  return pathname.slice(0, pathname.lastIndexOf('/') + 1);
+}
+
+/**
+ * Optimize a list of purge paths
+ * 1. Remove duplicates
+ * 2. Drop paths covered by a wildcard already in the list
+ * 3. Collapse directories with at least `collapseThreshold` sibling files into
+ *    "dir/*". The root directory is never collapsed: "/*" would purge the
+ *    whole cache without the full purge safeguards
+ * 4. Flag a full purge when more than `fullPurgeThreshold` paths remain; the
+ *    remaining paths are still returned so the caller can fall back to them
+ * @param {string[]} paths - Formatted paths
+ * @param {Object} [options] - Optimization options
+ * @param {number} [options.collapseThreshold=0] - Siblings needed to collapse (0 = never)
+ * @param {number} [options.fullPurgeThreshold=0] - Paths above which to purge all (0 = never)
+ * @returns {{ paths: string[], fullPurge: boolean, duplicates: number, covered: string[], collapsed: { wildcard: string, count: number }[] }}
+ *   Optimized plan
+ */
+function optimizePaths(paths, options = {}) {
+  const { collapseThreshold = 0, fullPurgeThreshold = 0 } = options;
+
+  const unique = [...new Set(paths)];
+  const duplicates = paths.length - unique.length;
+
+  // Drop paths covered by another wildcard in the list
+  const wildcards = unique.filter(path => path.includes('*'));
+  const matchers = wildcards.map(path => ({
+    path,
+    regexp: wildcardToRegExp(path),
+  }));
+  const covered = [];
+  let remaining = unique.filter(path => {
+    const isCovered = matchers.some(
+      matcher => matcher.path !== path && matcher.regexp.test(path)
+    );
+    if (isCovered) {
+      covered.push(path);
+    }
+    return !isCovered;
+  });
+
+  // Collapse many sibling files into a directory wildcard
+  const collapsed = [];
+  if (collapseThreshold > 0) {
+    const siblings = new Map();
+    for (const path of remaining) {
+      if (path.includes('*')) {
+        continue;
+      }
+      const dir = parentDirectory(path);
+      siblings.set(dir, (siblings.get(dir) || 0) + 1);
+    }
+
+    const collapsedDirs = new Set();
+    for (const [dir, count] of siblings) {
+      if (dir !== '/' && count >= collapseThreshold) {
+        collapsedDirs.add(dir);
+        collapsed.push({ wildcard: `${dir}*`, count });
+      }
+    }
+
+    if (collapsedDirs.size > 0) {
+      const result = [];
+      for (const path of remaining) {
+        const dir = parentDirectory(path);
+        if (!path.includes('*') && collapsedDirs.has(dir)) {
+          if (!result.includes(`${dir}*`)) {
+            result.push(`${dir}*`);
+          }
+        } else {
+          result.push(path);
+        }
+      }
+      remaining = optimizePaths(result).paths;
+    }
+  }
+
+  const fullPurge =
+    fullPurgeThreshold > 0 && remaining.length > fullPurgeThreshold;
+
+  return {
+    paths: remaining,
+    fullPurge,
+    duplicates,
+    covered,
+    collapsed,
+  };
+}
+
+/**
+ * Describe an optimization plan for logging
+ * @param {string[]} original - Paths before optimization
+ * @param {ReturnType<typeof optimizePaths>} plan - Optimized plan
+ * @returns {string[]} Log lines
+ */
+function describePlan(original, plan) {
+  const lines = [`Input paths: ${original.length}`];
+
+  if (plan.duplicates > 0) {
+    lines.push(`Removed duplicates: ${plan.duplicates}`);
+  }
+  if (plan.covered.length > 0) {
+    lines.push(
+      `Removed paths covered by wildcards (${plan.covered.length}): ${JSON.stringify(plan.covered)}`
+    );
+  }
+  for (const { wildcard, count } of plan.collapsed) {
+    lines.push(`Collapsed ${count} paths into ${wildcard}`);
+  }
+
+  lines.push(
+    `Final paths (${plan.paths.length}): ${JSON.stringify(plan.paths)}`
+  );
+  if (plan.fullPurge) {
+    lines.push('Too many paths: escalating to full purge');
+  }
+
+  return lines;
+}
+
+module.exports = {
+  optimizePaths,
+  describePlan,
+  wildcardToRegExp,
+};
@@ -0,0 +1,101 @@
+/**
+ * Read purge paths from a file or build manifest
+ * @module paths-file
+ */
+
+const fs = require('fs');
+const { escapeFileName } = require('./path-normalizer');
+
+/**
+ * Collect asset paths from a webpack- or Vite-style manifest object
+ * Webpack manifests map names to output files ({ "main.js": "/main.abc.js" }).
+ * Vite manifests map sources to chunks ({ "src/main.ts": { file, css, assets } }).
+ * Entries are file names, so characters with a meaning in purge paths are
+ * escaped.
+ * @param {Object} manifest - Parsed manifest
+ * @returns {string[]} Asset paths
+ */
+function collectManifestPaths(manifest) {
+  const paths = [];
+
+  for (const value of Object.values(manifest)) {
+    if (typeof value === 'string') {
+      paths.push(value);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (typeof value.file === 'string') {
+        paths.push(value.file);
+      }
+      for (const key of ['css', 'assets']) {
+        if (Array.isArray(value[key])) {
+          paths.push(...value[key].filter(item => typeof item === 'string'));
+        }
+      }
+    }
+  }
+
+  return paths.map(escapeFileName);
+}
+
+/**
+ * Parse the content of a paths file
+ * Supports a JSON array of paths, a JSON manifest object, or newline-delimited
+ * text where blank lines and "#" comments are ignored.
+ * @param {string} content - File content
+ * @returns {string[]} Unique entries in file order
+ * @throws {Error} If JSON content is invalid or has an unsupported shape
+ */
+function parsePathsFileContent(content) {
+  const trimmed = content.replace(/^\uFEFF/, '').trim();
+  let entries;
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON in paths file: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+      if (!data.every(item => typeof item === 'string')) {
+        throw new Error('JSON paths file must be an array of strings');
+      }
+      entries = data;
+    } else {
+      entries = collectManifestPaths(data);
+    }
+  } else {
+    entries = trimmed
+      .split(/\r?\n/)
+      .map(line => line.replace(/(^|\s)#.*$/, ''));
+  }
+
+  return [
+    ...new Set(entries.map(entry => entry.trim()).filter(entry => entry)),
+  ];
+}
+
+/**
+ * Read purge paths from a file
+ * @param {string} filePath - Path to a text file, JSON array or manifest
+ * @returns {string[]} Entries read from the file
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function readPathsFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(
+      `Failed to read paths file "${filePath}": ${error.message}`
+    );
+  }
+
+  return parsePathsFileContent(content);
+}
+
+module.exports = {
+  readPathsFile,
+  parsePathsFileContent,
+  collectManifestPaths,
+};
@@ -0,0 +1,156 @@
+/**
+ * Client-side rate limiting with one token bucket per key (CDN resource)
+ * @module rate-limiter
+ */
+
+const { sleep } = require('./retry');
+
+/**
+ * Rate limit settings
+ * @typedef {Object} RateLimitOptions
+ * @property {number} requests - Requests allowed per period
+ * @property {number} perSeconds - Period length in seconds
+ * @property {number} [burst=1] - Requests that may be sent back to back before
+ *   spacing applies
+ */
+
+/**
+ * Token bucket refilled continuously at `requests / perSeconds` tokens per
+ * second. Tokens are reserved when requested, so concurrent callers are given
+ * consecutive slots instead of all waking up at the same time.
+ */
+class TokenBucket {
+  /**
+   * @param {number} ratePerMs - Tokens added per millisecond
+   * @param {number} capacity - Maximum number of stored tokens
+   * @param {() => number} now - Clock in milliseconds
+   */
+  constructor(ratePerMs, capacity, now) {
+    this.ratePerMs = ratePerMs;
+    this.capacity = capacity;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  /**
+   * Reserve one token
+   * The balance may go negative; it then takes that long to refill.
+   * @returns {number} Milliseconds until the reserved token is available
+   */
+  reserve() {
+    const now = this.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.updatedAt) * this.ratePerMs
+    );
+    this.updatedAt = now;
+    this.tokens -= 1;
+
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.ratePerMs);
+  }
+
+  /**
+   * Return a reserved token that was not used
+   */
+  release() {
+    this.tokens = Math.min(this.capacity, this.tokens + 1);
+  }
+}
+
+/**
+ * Rate limiter spacing requests per key
+ */
+class RateLimiter {
+  /**
+   * @param {RateLimitOptions} options - Rate limit settings
+   * @param {() => number} [now=Date.now] - Clock in milliseconds
+   * @throws {Error} If a setting is not a positive number
+   */
+  constructor(options, now = Date.now) {
+    const { requests, perSeconds, burst = 1 } = options;
+    if (!(requests > 0) || !(perSeconds > 0) || !(burst > 0)) {
+      throw new Error(
+        `Invalid rate limit: ${requests} request(s) per ${perSeconds}s, ` +
+          `burst ${burst}. All values must be positive numbers.`
+      );
+    }
+
+    this.requests = requests;
+    this.perSeconds = perSeconds;
+    this.burst = burst;
+    this.now = now;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get the bucket of a key, creating a full one on first use
+   * @param {string} key - Rate limit key
+   * @returns {TokenBucket} Bucket
+   */
+  bucket(key) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(
+        key,
+        new TokenBucket(
+          this.requests / (this.perSeconds * 1000),
+          this.burst,
+          this.now
+        )
+      );
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Estimate how long sending a number of requests takes, starting with a
+   * full bucket
+   * @param {number} count - Number of requests
+   * @returns {number} Milliseconds until the last request may be sent
+   */
+  estimate(count) {
+    const spaced = Math.max(0, count - this.burst);
+    return Math.ceil((spaced * this.perSeconds * 1000) / this.requests);
+  }
+
+  /**
+   * Wait until a request for the key may be sent
+   * @param {string} key - Rate limit key, e.g. the CDN resource ID
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.deadline] - Timestamp in ms; if the request could
+   *   not be sent before it, nothing is waited for or reserved
+   * @param {AbortSignal} [options.signal] - Stops waiting, rejecting with the
+   *   abort reason
+   * @param {(delay: number) => void} [options.onWait] - Called before waiting
+   * @returns {Promise<boolean>} False if the deadline would be missed
+   */
+  async acquire(key, options = {}) {
+    const { deadline = null, signal = null, onWait = null } = options;
+    const bucket = this.bucket(key);
+    const delay = bucket.reserve();
+
+    if (delay === 0) {
+      return true;
+    }
+    if (deadline !== null && this.now() + delay >= deadline) {
+      bucket.release();
+      return false;
+    }
+
+    if (onWait) {
+      onWait(delay);
+    }
+    try {
+      await sleep(delay, signal);
+    } catch (error) {
+      bucket.release();
+      throw error;
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+};
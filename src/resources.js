@@ -0,0 +1,201 @@
+/**
+ * CDN resource target parsing and hostname matching
+ * @module resources
+ */
+
+const { normalizeHostname } = require('./path-normalizer');
+
+/**
+ * CDN resource to purge
+ * @typedef {Object} ResourceTarget
+ * @property {string} [id] - CDN Resource ID
+ * @property {string} [cname] - CDN Resource CNAME, resolved through the folder
+ * @property {string[]} [paths] - Resource-specific paths (default: shared paths)
+ * @property {string} [expectedCname] - Hostname the resource given by ID must
+ *   serve, checked before purging
+ */
+
+/**
+ * Parse a comma- or newline-separated list input
+ * @param {string} input - Raw input string
+ * @returns {string[]} Array of trimmed, non-empty entries
+ */
+function parseList(input) {
+  if (!input || input.trim() === '') {
+    return [];
+  }
+
+  return input
+    .split(/[,\n]/)
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Parse the JSON resources input
+ * @param {string} resourcesInput - JSON array of
+ *   { id | cname, paths?, expectedCname? } objects
+ * @returns {ResourceTarget[]} Parsed targets
+ * @throws {Error} If the input is not a valid resources list
+ */
+function parseResourcesJson(resourcesInput) {
+  let data;
+  try {
+    data = JSON.parse(resourcesInput);
+  } catch (error) {
+    throw new Error(`Invalid resources JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(data)) {
+    throw new Error('resources must be a JSON array');
+  }
+
+  return data.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`resources[${index}] must be an object`);
+    }
+    if (!entry.id === !entry.cname) {
+      throw new Error(
+        `resources[${index}] must have exactly one of "id" or "cname"`
+      );
+    }
+    if (entry.expectedCname !== undefined && !entry.id) {
+      throw new Error(
+        `resources[${index}].expectedCname can only be used with "id"`
+      );
+    }
+
+    const target = entry.id
+      ? { id: String(entry.id) }
+      : { cname: String(entry.cname) };
+    if (entry.paths !== undefined) {
+      const paths =
+        typeof entry.paths === 'string' ? parseList(entry.paths) : entry.paths;
+      if (!Array.isArray(paths) || !paths.every(p => typeof p === 'string')) {
+        throw new Error(
+          `resources[${index}].paths must be a string or array of strings`
+        );
+      }
+      target.paths = paths;
+    }
+    if (entry.expectedCname !== undefined) {
+      target.expectedCname = String(entry.expectedCname);
+    }
+    return target;
+  });
+}
+
+/**
+ * Build the list of resources to purge from action inputs
+ * @param {Object} inputs - Raw inputs
+ * @param {string} [inputs.resourceIdInput] - Comma-separated resource IDs
+ * @param {string} [inputs.resourceCnameInput] - Comma-separated resource CNAMEs
+ * @param {string} [inputs.resourcesInput] - JSON resources list
+ * @param {string} [inputs.expectedCnameInput] - Comma-separated hostnames the
+ *   resource IDs must serve, in the same order as resource-id
+ * @returns {ResourceTarget[]} Unique resource targets
+ * @throws {Error} If no resources are given, a resource is listed twice or
+ *   expected CNAMEs do not line up with resource IDs
+ */
+function parseResourceTargets({
+  resourceIdInput,
+  resourceCnameInput,
+  resourcesInput,
+  expectedCnameInput,
+}) {
+  const ids = parseList(resourceIdInput);
+  const expectedCnames = parseList(expectedCnameInput);
+  if (expectedCnames.length > 0 && expectedCnames.length !== ids.length) {
+    throw new Error(
+      `expected-cname lists ${expectedCnames.length} hostname(s) for ` +
+        `${ids.length} resource-id value(s); give one per resource ID`
+    );
+  }
+
+  const targets = [
+    ...ids.map((id, index) =>
+      expectedCnames.length > 0
+        ? { id, expectedCname: expectedCnames[index] }
+        : { id }
+    ),
+    ...parseList(resourceCnameInput).map(cname => ({ cname })),
+    ...(resourcesInput ? parseResourcesJson(resourcesInput) : []),
+  ];
+
+  if (targets.length === 0) {
+    throw new Error(
+      'Either resource-id, resource-cname or resources must be provided'
+    );
+  }
+
+  const seen = new Set();
+  for (const target of targets) {
+    const key = target.id || normalizeHostname(target.cname);
+    if (seen.has(key)) {
+      throw new Error(
+        `Resource ${describeTarget(target)} is listed more than once`
+      );
+    }
+    seen.add(key);
+  }
+
+  return targets;
+}
+
+/**
+ * Describe a resource target for logging
+ * @param {ResourceTarget} target - Resource target
+ * @returns {string} Resource ID or CNAME
+ */
+function describeTarget(target) {
+  return target.id || target.cname;
+}
+
+/**
+ * Get the secondary hostnames of a CDN resource
+ * The API returns a plain array; the { values } form of create and update
+ * requests is accepted as well.
+ * @param {Object} resource - Resource from the CDN API
+ * @returns {string[]} Secondary hostnames
+ */
+function getSecondaryHostnames(resource) {
+  const hostnames = resource?.secondaryHostnames;
+  if (Array.isArray(hostnames)) {
+    return hostnames;
+  }
+  return Array.isArray(hostnames?.values) ? hostnames.values : [];
+}
+
+/**
+ * Find the resource serving a hostname
+ * Hostnames are compared without case and trailing dots. A resource whose
+ * CNAME matches wins over one listing the hostname as a secondary hostname.
+ * @param {Object[]} resources - Resources from the CDN API
+ * @param {string} hostname - Hostname to look up
+ * @returns {Object|null} Matching resource or null
+ */
+function findResourceByHostname(resources, hostname) {
+  const wanted = normalizeHostname(hostname);
+
+  return (
+    resources.find(
+      resource =>
+        resource?.cname && normalizeHostname(resource.cname) === wanted
+    ) ||
+    resources.find(resource =>
+      getSecondaryHostnames(resource).some(
+        secondary => normalizeHostname(secondary) === wanted
+      )
+    ) ||
+    null
+  );
+}
+
+module.exports = {
+  parseList,
+  parseResourcesJson,
+  parseResourceTargets,
+  describeTarget,
+  getSecondaryHostnames,
+  findResourceByHostname,
+};
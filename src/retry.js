@@ -6,10 +6,27 @@
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Ends the sleep early, rejecting with the
+ *   abort reason
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    signal.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -18,6 +35,11 @@ function sleep(ms) {
  * @returns {boolean} True if error is retryable
  */
 function isRetryableError(error) {
+  // Typed errors already carry the decision for the original failure
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
   // HTTP status codes that warrant a retry
   const retryableStatusCodes = [408, 429, 500, 502, 503, 504];
 
@@ -47,14 +69,71 @@ function isRetryableError(error) {
   return false;
 }
 
+// Supported jitter strategies
+const JITTER_MODES = ['full', 'decorrelated', 'none'];
+
+/**
+ * Get the delay requested by a Retry-After response header
+ * @param {Error} error - Error to inspect; a CdnError is read through the
+ *   HTTP error it wraps
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} Delay in ms, or null if no valid header is present
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const headers = (error.response ?? error.cause?.response)?.headers;
+  const value = headers?.['retry-after'] ?? headers?.['Retry-After'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {string} jitter - Jitter strategy, one of JITTER_MODES
+ * @param {number} backoff - Exponential backoff for this attempt in ms
+ * @param {number} previous - Previous delay in ms
+ * @param {Object} options - Retry options (initialDelay, maxDelay)
+ * @returns {number} Delay in ms
+ */
+function nextDelay(jitter, backoff, previous, options) {
+  const { initialDelay, maxDelay } = options;
+  if (jitter === 'full') {
+    return Math.round(Math.random() * backoff);
+  }
+  if (jitter === 'decorrelated') {
+    const upper = Math.max(initialDelay, previous * 3);
+    return Math.round(
+      Math.min(maxDelay, initialDelay + Math.random() * (upper - initialDelay))
+    );
+  }
+  return backoff;
+}
+
 /**
  * Retry a function with exponential backoff
+ * A Retry-After header on the failed response replaces the computed delay.
+ * When a deadline is set, retrying stops with the last error as soon as the
+ * next attempt could not start before it.
  * @param {Function} fn - Async function to retry
  * @param {Object} options - Retry options
  * @param {number} [options.maxAttempts=12] - Maximum number of attempts
  * @param {number} [options.initialDelay=10000] - Initial delay in ms (10 seconds)
  * @param {number} [options.maxDelay=120000] - Maximum delay in ms (2 minutes)
  * @param {number} [options.factor=1.5] - Backoff factor
+ * @param {string} [options.jitter='full'] - Jitter strategy: "full" waits a
+ *   random time up to the backoff, "decorrelated" grows a random delay from the
+ *   previous one, "none" waits exactly the backoff
+ * @param {number} [options.deadline] - Timestamp in ms all retries must stay within
+ * @param {AbortSignal} [options.signal] - Stops retrying, rejecting with the
+ *   abort reason
  * @param {Function} [options.onRetry] - Callback on retry
  * @returns {Promise<any>} Result of the function
  * @throws {Error} If all retries are exhausted
@@ -65,17 +144,29 @@ async function retryWithBackoff(fn, options = {}) {
     initialDelay = 10000,
     maxDelay = 120000,
     factor = 1.5,
+    jitter = 'full',
+    deadline = null,
+    signal = null,
     onRetry = null,
   } = options;
 
+  if (!JITTER_MODES.includes(jitter)) {
+    throw new Error(
+      `Invalid jitter "${jitter}". Expected one of: ${JITTER_MODES.join(', ')}`
+    );
+  }
+
   let attempt = 0;
+  let backoff = initialDelay;
   let delay = initialDelay;
 
   while (attempt < maxAttempts) {
+    signal?.throwIfAborted();
     try {
       attempt++;
       return await fn();
     } catch (error) {
+      signal?.throwIfAborted();
       const isRetryable = isRetryableError(error);
       const isLastAttempt = attempt >= maxAttempts;
 
@@ -83,6 +174,16 @@ async function retryWithBackoff(fn, options = {}) {
         throw error;
       }
 
+      const retryAfter = getRetryAfterMs(error);
+      delay =
+        retryAfter ??
+        nextDelay(jitter, backoff, delay, { initialDelay, maxDelay });
+      backoff = Math.min(backoff * factor, maxDelay);
+
+      if (deadline !== null && Date.now() + delay >= deadline) {
+        throw error;
+      }
+
       if (onRetry) {
         onRetry({
           attempt,
@@ -92,8 +193,7 @@ async function retryWithBackoff(fn, options = {}) {
         });
       }
 
-      await sleep(delay);
-      delay = Math.min(delay * factor, maxDelay);
+      await sleep(delay, signal);
     }
   }
 
@@ -104,5 +204,7 @@ async function retryWithBackoff(fn, options = {}) {
 module.exports = {
   retryWithBackoff,
   isRetryableError,
+  getRetryAfterMs,
   sleep,
+  JITTER_MODES,
 };
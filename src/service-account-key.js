@@ -0,0 +1,167 @@
+/**
+ * Service account authorized key parsing and normalization
+ * @module service-account-key
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+const { ValidationError } = require('./errors');
+
+/**
+ * Register a secret with the runner so it is masked in logs
+ * Multi-line values are masked line by line, since the runner matches single
+ * log lines.
+ * @param {string} value - Secret value
+ */
+function maskSecret(value) {
+  if (!value) {
+    return;
+  }
+
+  logger.setSecret(value);
+  const lines = value.split(/\r?\n/).map(line => line.trim());
+  for (const line of lines.filter(line => line.length > 0)) {
+    if (line !== value && !line.startsWith('-----')) {
+      logger.setSecret(line);
+    }
+  }
+}
+
+/**
+ * Decode a base64 string if it holds a JSON object
+ * @param {string} value - Possibly base64-encoded content
+ * @returns {string|null} Decoded JSON text, or null if it is not base64 JSON
+ */
+function decodeBase64Json(value) {
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(value.replace(/\s+/g, ''))) {
+    return null;
+  }
+
+  const decoded = Buffer.from(value, 'base64').toString('utf8').trim();
+  return decoded.startsWith('{') ? decoded : null;
+}
+
+/**
+ * Parse a service account key given as JSON, base64-encoded JSON or a path
+ * to a key file (holding JSON or base64)
+ * @param {string} input - service-account-key input
+ * @returns {Object} Parsed key object, not yet validated
+ * @throws {ValidationError} If the input is not a key in any supported format
+ */
+function parseServiceAccountKey(input) {
+  let content = String(input)
+    .replace(/^\uFEFF/, '')
+    .trim();
+  let source = 'value';
+
+  if (!content.startsWith('{') && fs.existsSync(content)) {
+    source = `file "${content}"`;
+    try {
+      content = fs
+        .readFileSync(content, 'utf8')
+        .replace(/^\uFEFF/, '')
+        .trim();
+    } catch (error) {
+      throw new ValidationError(
+        `Failed to read service account key ${source}: ${error.message}`
+      );
+    }
+  }
+
+  if (!content.startsWith('{')) {
+    const decoded = decodeBase64Json(content);
+    if (decoded === null) {
+      throw new ValidationError(
+        `Invalid service account key ${source}: expected JSON, base64-encoded ` +
+          'JSON or a path to a key file'
+      );
+    }
+    maskSecret(content);
+    content = decoded;
+  }
+
+  let serviceAccountKey;
+  try {
+    serviceAccountKey = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(
+      `Invalid service account key JSON format: ${error.message}. ` +
+        'Ensure the key is properly formatted JSON.'
+    );
+  }
+
+  if (typeof serviceAccountKey !== 'object' || serviceAccountKey === null) {
+    throw new ValidationError('Service account key must be a JSON object');
+  }
+
+  return serviceAccountKey;
+}
+
+/**
+ * Normalize a PEM private key and check that it is a usable RSA key
+ * Escaped "\n" sequences and CRLF line endings are converted to newlines;
+ * PKCS#8 ("BEGIN PRIVATE KEY") and PKCS#1 ("BEGIN RSA PRIVATE KEY") are accepted.
+ * @param {string} privateKey - PEM private key
+ * @returns {string} Normalized PEM private key
+ * @throws {ValidationError} If the key cannot be parsed or is not an RSA key
+ */
+function normalizePrivateKey(privateKey) {
+  const pem = `${String(privateKey)
+    .replace(/\\r\\n|\\n/g, '\n')
+    .replace(/\r\n/g, '\n')
+    .trim()}\n`;
+
+  let key;
+  try {
+    key = crypto.createPrivateKey(pem);
+  } catch (error) {
+    throw new ValidationError(
+      `Invalid private key: ${error.message}. ` +
+        'Expected a PEM key ("BEGIN PRIVATE KEY" or "BEGIN RSA PRIVATE KEY")'
+    );
+  }
+
+  if (key.asymmetricKeyType !== 'rsa') {
+    throw new ValidationError(
+      `Invalid private key: expected an RSA key, got ${key.asymmetricKeyType}`
+    );
+  }
+
+  return pem;
+}
+
+/**
+ * Validate a service account key, normalize its private key and mask it in logs
+ * @param {Object} serviceAccountKey - Service Account authorized key
+ * @returns {Object} Key with a normalized private_key
+ * @throws {ValidationError} If a field is missing or the private key is invalid
+ */
+function normalizeServiceAccountKey(serviceAccountKey) {
+  if (!serviceAccountKey.id) {
+    throw new ValidationError('Service account key missing "id" field');
+  }
+  if (!serviceAccountKey.service_account_id) {
+    throw new ValidationError(
+      'Service account key missing "service_account_id" field'
+    );
+  }
+  if (!serviceAccountKey.private_key) {
+    throw new ValidationError(
+      'Service account key missing "private_key" field'
+    );
+  }
+
+  maskSecret(serviceAccountKey.private_key);
+  const privateKey = normalizePrivateKey(serviceAccountKey.private_key);
+  maskSecret(privateKey);
+
+  return { ...serviceAccountKey, private_key: privateKey };
+}
+
+module.exports = {
+  parseServiceAccountKey,
+  normalizeServiceAccountKey,
+  normalizePrivateKey,
+  maskSecret,
+};
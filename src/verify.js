@@ -0,0 +1,242 @@
+/**
+ * Post-purge freshness verification: fetch purged paths through the resource
+ * hostname until the responses carry the expected version
+ * @module verify
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { createTransport } = require('./http');
+const { sleep } = require('./retry');
+const { logger } = require('./logger');
+
+const DEFAULT_SAMPLE_SIZE = 3;
+const DEFAULT_INTERVAL = 5000;
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * What a fresh response must look like; unset fields are not checked
+ * @typedef {Object} FreshnessExpectations
+ * @property {string} [etag] - ETag, compared without quotes and weak prefix
+ * @property {number} [lastModifiedAfter] - Timestamp in ms the Last-Modified
+ *   header must not be older than
+ * @property {string} [sha256] - Hex SHA-256 of the response body
+ * @property {{ name: string, value: string }} [header] - Response header
+ *   value, e.g. a build ID
+ */
+
+/**
+ * Freshness of one path
+ * @typedef {Object} VerificationResult
+ * @property {string} path - Verified path
+ * @property {string} url - Requested URL
+ * @property {boolean} fresh - Whether the last response met all expectations
+ * @property {number|null} status - HTTP status of the last response
+ * @property {string|null} reason - Why the last response was not fresh
+ * @property {number} attempts - Requests sent
+ */
+
+/**
+ * Parse the verification inputs
+ * @param {Object} inputs - Raw input values
+ * @param {string} [inputs.etag] - Expected ETag
+ * @param {string} [inputs.lastModified] - Date the content must not predate
+ * @param {string} [inputs.sha256] - Expected hex SHA-256 of the body
+ * @param {string} [inputs.header] - Expected header as "Name: value"
+ * @returns {FreshnessExpectations|null} Expectations, or null if none is set
+ * @throws {Error} If a value is invalid
+ */
+function parseExpectations({ etag, lastModified, sha256, header }) {
+  const expect = {};
+
+  if (etag) {
+    expect.etag = etag.trim();
+  }
+  if (lastModified) {
+    const timestamp = Date.parse(lastModified);
+    if (Number.isNaN(timestamp)) {
+      throw new Error(
+        `Invalid verify-last-modified value: "${lastModified}". Expected a date such as 2025-01-31T12:00:00Z`
+      );
+    }
+    expect.lastModifiedAfter = timestamp;
+  }
+  if (sha256) {
+    if (!/^[0-9a-f]{64}$/i.test(sha256.trim())) {
+      throw new Error(
+        `Invalid verify-sha256 value: "${sha256}". Expected 64 hex characters`
+      );
+    }
+    expect.sha256 = sha256.trim().toLowerCase();
+  }
+  if (header) {
+    const separator = header.indexOf(':');
+    const name = header.slice(0, separator).trim();
+    if (separator < 0 || !name) {
+      throw new Error(
+        `Invalid verify-header value: "${header}". Expected "Name: value"`
+      );
+    }
+    expect.header = { name, value: header.slice(separator + 1).trim() };
+  }
+
+  return Object.keys(expect).length > 0 ? expect : null;
+}
+
+/**
+ * Pick the paths to verify: the first `size` distinct paths without
+ * wildcards, which cannot be fetched
+ * @param {string[]} paths - Purged paths
+ * @param {number} [size=3] - Sample size
+ * @returns {string[]} Sample
+ */
+function selectSample(paths, size = DEFAULT_SAMPLE_SIZE) {
+  return [...new Set(paths.filter(path => !path.includes('*')))].slice(0, size);
+}
+
+/**
+ * Strip the weak prefix and quotes from an ETag
+ * @param {string} etag - ETag
+ * @returns {string} Opaque tag
+ */
+function normalizeEtag(etag) {
+  return etag
+    .trim()
+    .replace(/^W\//, '')
+    .replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Check a response against the expectations
+ * @param {Object} response - axios response with an ArrayBuffer body
+ * @param {FreshnessExpectations} expect - Expectations
+ * @returns {string|null} Why the response is not fresh, or null
+ */
+function checkResponse(response, expect) {
+  const headers = response.headers || {};
+
+  if (response.status < 200 || response.status >= 300) {
+    return `HTTP ${response.status}`;
+  }
+  if (expect.etag !== undefined) {
+    const etag = headers.etag;
+    if (!etag || normalizeEtag(etag) !== normalizeEtag(expect.etag)) {
+      return `ETag ${etag || '(none)'}, expected ${expect.etag}`;
+    }
+  }
+  if (expect.lastModifiedAfter !== undefined) {
+    const lastModified = headers['last-modified'];
+    if (!(Date.parse(lastModified) >= expect.lastModifiedAfter)) {
+      return (
+        `Last-Modified ${lastModified || '(none)'} is before ` +
+        new Date(expect.lastModifiedAfter).toISOString()
+      );
+    }
+  }
+  if (expect.sha256 !== undefined) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(Buffer.from(response.data || []))
+      .digest('hex');
+    if (hash !== expect.sha256) {
+      return `SHA-256 ${hash}, expected ${expect.sha256}`;
+    }
+  }
+  if (expect.header !== undefined) {
+    const value = headers[expect.header.name.toLowerCase()];
+    if (value === undefined || String(value).trim() !== expect.header.value) {
+      return `${expect.header.name} ${value ?? '(none)'}, expected ${expect.header.value}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetch paths through the CDN until every response is fresh or the timeout
+ * expires. Failed requests count as stale and are repeated.
+ * @param {string[]} paths - Paths to verify
+ * @param {Object} options - Verification options
+ * @param {string} options.hostname - Resource hostname, sent as Host header
+ * @param {FreshnessExpectations} options.expect - Expectations
+ * @param {string} [options.endpoint] - Base URL to send requests to instead of
+ *   https://<hostname>, e.g. a local test server
+ * @param {number} [options.timeoutSeconds=300] - Time to wait for fresh content
+ * @param {number} [options.interval=5000] - Delay between rounds in ms
+ * @param {string} [options.caFile] - Extra CA bundle to trust
+ * @param {AbortSignal} [options.signal] - Stops verifying, rejecting with the
+ *   abort reason
+ * @returns {Promise<VerificationResult[]>} Result per path
+ */
+async function verifyFreshness(paths, options) {
+  const {
+    hostname,
+    expect,
+    endpoint = null,
+    timeoutSeconds = 300,
+    interval = DEFAULT_INTERVAL,
+    caFile,
+    signal = null,
+  } = options;
+  const baseURL = (endpoint || `https://${hostname}`).replace(/\/+$/, '');
+  const transport = createTransport(baseURL, { caFile });
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  const results = paths.map(path => ({
+    path,
+    url: `${baseURL}${path}`,
+    fresh: false,
+    status: null,
+    reason: null,
+    attempts: 0,
+  }));
+
+  const check = async result => {
+    result.attempts++;
+    try {
+      const response = await axios.get(result.url, {
+        ...transport,
+        headers: endpoint ? { Host: hostname } : {},
+        responseType: 'arraybuffer',
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        signal: signal || undefined,
+      });
+      result.status = response.status;
+      result.reason = checkResponse(response, expect);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      result.status = null;
+      result.reason = error.message;
+    }
+    result.fresh = result.reason === null;
+  };
+
+  for (;;) {
+    const pending = results.filter(result => !result.fresh);
+    await Promise.all(pending.map(check));
+
+    const stale = results.filter(result => !result.fresh);
+    const remaining = deadline - Date.now();
+    if (stale.length === 0 || remaining <= 0) {
+      return results;
+    }
+
+    logger.info(
+      `${stale.length} of ${results.length} path(s) on ${hostname} not fresh yet ` +
+        `(${stale[0].path}: ${stale[0].reason}), checking again...`
+    );
+    await sleep(Math.min(interval, remaining), signal);
+  }
+}
+
+module.exports = {
+  parseExpectations,
+  selectSample,
+  checkResponse,
+  verifyFreshness,
+  DEFAULT_SAMPLE_SIZE,
+};
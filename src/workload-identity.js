@@ -0,0 +1,115 @@
+/**
+ * Keyless authentication with GitHub OIDC tokens through Yandex Cloud
+ * workload identity federation
+ * @module workload-identity
+ */
+
+const core = require('@actions/core');
+const axios = require('axios');
+const { createTransport } = require('./http');
+const { CdnError, AuthenticationError, fromHttpError } = require('./errors');
+
+const DEFAULT_TOKEN_EXCHANGE_ENDPOINT = 'https://auth.yandex.cloud/oauth/token';
+
+/**
+ * Request the job's GitHub OIDC token
+ * @param {string} [audience] - Token audience (default: GitHub's default audience)
+ * @returns {Promise<string>} OIDC ID token
+ * @throws {AuthenticationError} If the token cannot be issued, e.g. without id-token permission
+ */
+async function getGitHubIdToken(audience) {
+  try {
+    return await core.getIDToken(audience || undefined);
+  } catch (error) {
+    throw new AuthenticationError(
+      `Failed to get GitHub OIDC token: ${error.message}. ` +
+        'Ensure the job has "permissions: id-token: write".',
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Exchange an OIDC token for a service account IAM token (RFC 8693)
+ * @param {string} subjectToken - OIDC ID token
+ * @param {string} serviceAccountId - Service account to impersonate
+ * @param {Object} [options] - Connection options
+ * @param {string} [options.tokenExchangeEndpoint] - Token exchange URL
+ * @param {string} [options.caFile] - Extra CA bundle to trust
+ * @returns {Promise<{ iamToken: string, expiresAt: number|null }>} IAM token
+ *   and its expiry as a timestamp in ms
+ * @throws {AuthenticationError} If the exchange fails
+ */
+async function exchangeOidcToken(subjectToken, serviceAccountId, options = {}) {
+  const url = options.tokenExchangeEndpoint || DEFAULT_TOKEN_EXCHANGE_ENDPOINT;
+  const body = new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+    requested_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+    audience: serviceAccountId,
+    subject_token: subjectToken,
+    subject_token_type: 'urn:ietf:params:oauth:token-type:id_token',
+  });
+
+  try {
+    const response = await axios.post(url, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000,
+      ...createTransport(url, options),
+    });
+
+    if (!response.data || !response.data.access_token) {
+      throw new AuthenticationError(
+        'Invalid response from token exchange endpoint'
+      );
+    }
+
+    const expiresIn = Number(response.data.expires_in);
+    return {
+      iamToken: response.data.access_token,
+      expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    };
+  } catch (error) {
+    if (error instanceof CdnError) {
+      throw error;
+    }
+    if (error.response) {
+      const data = error.response.data || {};
+      throw fromHttpError(
+        `Failed to exchange OIDC token for IAM token: ${error.response.status} - ${
+          data.error_description || data.error || data.message || error.message
+        }`,
+        error,
+        {},
+        AuthenticationError
+      );
+    }
+    throw fromHttpError(
+      `Failed to exchange OIDC token for IAM token: ${error.message}`,
+      error,
+      {},
+      AuthenticationError
+    );
+  }
+}
+
+/**
+ * Issue an IAM token for a service account using the job's GitHub OIDC token
+ * @param {string} serviceAccountId - Service account to impersonate
+ * @param {Object} [options] - Options
+ * @param {string} [options.oidcAudience] - OIDC token audience
+ * @param {string} [options.tokenExchangeEndpoint] - Token exchange URL
+ * @param {string} [options.caFile] - Extra CA bundle to trust
+ * @returns {Promise<{ iamToken: string, expiresAt: number|null }>} IAM token
+ * @throws {AuthenticationError} If authentication fails
+ */
+async function requestFederatedToken(serviceAccountId, options = {}) {
+  const idToken = await getGitHubIdToken(options.oidcAudience);
+  return await exchangeOidcToken(idToken, serviceAccountId, options);
+}
+
+module.exports = {
+  requestFederatedToken,
+  exchangeOidcToken,
+  getGitHubIdToken,
+  DEFAULT_TOKEN_EXCHANGE_ENDPOINT,
+};
@@ -0,0 +1,112 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const { CredentialProvider, createCredentialProvider } = require('../src/auth');
+
+describe('CredentialProvider', () => {
+  const githubActions = process.env.GITHUB_ACTIONS;
+
+  beforeAll(() => {
+    // Secrets are only masked when running in GitHub Actions
+    process.env.GITHUB_ACTIONS = 'true';
+  });
+
+  afterAll(() => {
+    if (githubActions === undefined) {
+      delete process.env.GITHUB_ACTIONS;
+    } else {
+      process.env.GITHUB_ACTIONS = githubActions;
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should return static tokens without refreshing', async () => {
+    const provider = CredentialProvider.fromToken(' t1 ');
+
+    await expect(provider.getToken()).resolves.toBe('t1');
+    expect(core.setSecret).toHaveBeenCalledWith('t1');
+    expect(provider.refreshable).toBe(false);
+
+    provider.invalidate('t1');
+    await expect(provider.getToken()).resolves.toBe('t1');
+  });
+
+  it('should cache issued tokens until shortly before expiry', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const issueToken = jest
+      .fn()
+      .mockResolvedValueOnce({ iamToken: 't1', expiresAt: 3600 * 1000 })
+      .mockResolvedValueOnce({ iamToken: 't2', expiresAt: 7200 * 1000 });
+    const provider = new CredentialProvider(issueToken);
+
+    await expect(provider.getToken()).resolves.toBe('t1');
+    jest.setSystemTime(3200 * 1000);
+    await expect(provider.getToken()).resolves.toBe('t1');
+    jest.setSystemTime(3400 * 1000);
+    await expect(provider.getToken()).resolves.toBe('t2');
+    expect(issueToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should share one request between concurrent callers', async () => {
+    const issueToken = jest
+      .fn()
+      .mockResolvedValue({ iamToken: 't1', expiresAt: null });
+    const provider = new CredentialProvider(issueToken);
+
+    await expect(
+      Promise.all([provider.getToken(), provider.getToken()])
+    ).resolves.toEqual(['t1', 't1']);
+    expect(issueToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('should issue a new token only when the current one is invalidated', async () => {
+    const issueToken = jest
+      .fn()
+      .mockResolvedValueOnce({ iamToken: 't1', expiresAt: null })
+      .mockResolvedValueOnce({ iamToken: 't2', expiresAt: null });
+    const provider = new CredentialProvider(issueToken);
+
+    await provider.getToken();
+    provider.invalidate('stale');
+    await expect(provider.getToken()).resolves.toBe('t1');
+    provider.invalidate('t1');
+    await expect(provider.getToken()).resolves.toBe('t2');
+  });
+});
+
+describe('createCredentialProvider', () => {
+  it('should require credentials', () => {
+    expect(() => createCredentialProvider('', '')).toThrow(
+      'One of service-account-key, iam-token or service-account-id must be provided'
+    );
+  });
+
+  it('should use GitHub OIDC when only a service account ID is set', () => {
+    const provider = createCredentialProvider('', '', {
+      serviceAccountId: 'aje123',
+    });
+
+    expect(provider.refreshable).toBe(true);
+  });
+
+  it('should use the metadata service when enabled', () => {
+    const provider = createCredentialProvider('', '', {
+      useInstanceMetadata: true,
+    });
+
+    expect(provider.refreshable).toBe(true);
+    expect(provider.refreshMarginMs).toBe(30 * 1000);
+  });
+
+  it('should validate the service account key', () => {
+    expect(() =>
+      createCredentialProvider(
+        JSON.stringify({ id: 'k', service_account_id: 'sa' }),
+        ''
+      )
+    ).toThrow('Service account key missing "private_key" field');
+  });
+});
@@ -0,0 +1,689 @@
+jest.mock('@actions/core');
+
+const { AxiosError } = require('axios');
+const YandexCDNClient = require('../src/cdn-client');
+const { CredentialProvider } = require('../src/auth');
+const {
+  ValidationError,
+  PermissionDeniedError,
+  NotFoundError,
+  OperationFailedError,
+  OperationTimeoutError,
+  CancelledError,
+} = require('../src/errors');
+
+describe('YandexCDNClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new YandexCDNClient('test-token');
+    client.cdnClient.post = jest.fn();
+    client.operationClient.get = jest.fn();
+  });
+
+  describe('constructor', () => {
+    it('should derive the Operations API endpoint', () => {
+      const custom = new YandexCDNClient(
+        'test-token',
+        'https://cdn.api.cloud.example.internal'
+      );
+
+      expect(custom.operationClient.defaults.baseURL).toBe(
+        'https://operation.api.cloud.example.internal'
+      );
+    });
+
+    it('should accept an explicit Operations API endpoint', () => {
+      const custom = new YandexCDNClient('test-token', 'http://localhost', {
+        operationEndpoint: 'http://localhost:8081',
+      });
+
+      expect(custom.cdnClient.defaults.baseURL).toBe('http://localhost');
+      expect(custom.operationClient.defaults.baseURL).toBe(
+        'http://localhost:8081'
+      );
+    });
+  });
+
+  describe('credentials', () => {
+    const unauthorized = config =>
+      Promise.reject(
+        new AxiosError('Unauthorized', 'ERR_BAD_REQUEST', config, null, {
+          status: 401,
+          data: {},
+          headers: {},
+          config,
+        })
+      );
+
+    it('should send a token from the provider with every request', async () => {
+      const custom = new YandexCDNClient('test-token');
+      const adapter = jest.fn(config =>
+        Promise.resolve({ status: 200, data: {}, headers: {}, config })
+      );
+      custom.cdnClient.defaults.adapter = adapter;
+
+      await custom.cdnClient.get('/cdn/v1/resources/bc8abc');
+
+      expect(adapter.mock.calls[0][0].headers.Authorization).toBe(
+        'Bearer test-token'
+      );
+    });
+
+    it('should re-authenticate once on 401', async () => {
+      const issueToken = jest
+        .fn()
+        .mockResolvedValueOnce({ iamToken: 't1', expiresAt: null })
+        .mockResolvedValueOnce({ iamToken: 't2', expiresAt: null });
+      const custom = new YandexCDNClient(new CredentialProvider(issueToken));
+      const adapter = jest.fn(config =>
+        config.headers.Authorization === 'Bearer t1'
+          ? unauthorized(config)
+          : Promise.resolve({
+              status: 200,
+              data: { ok: 1 },
+              headers: {},
+              config,
+            })
+      );
+      custom.cdnClient.defaults.adapter = adapter;
+
+      const response = await custom.cdnClient.get('/cdn/v1/resources/bc8abc');
+
+      expect(response.data).toEqual({ ok: 1 });
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(issueToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail when the new token is rejected as well', async () => {
+      const issueToken = jest
+        .fn()
+        .mockResolvedValue({ iamToken: 't1', expiresAt: null });
+      const custom = new YandexCDNClient(new CredentialProvider(issueToken));
+      const adapter = jest.fn(unauthorized);
+      custom.cdnClient.defaults.adapter = adapter;
+
+      await expect(
+        custom.cdnClient.get('/cdn/v1/resources/bc8abc')
+      ).rejects.toMatchObject({ response: { status: 401 } });
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry static tokens', async () => {
+      const custom = new YandexCDNClient('test-token');
+      const adapter = jest.fn(unauthorized);
+      custom.operationClient.defaults.adapter = adapter;
+
+      await expect(
+        custom.operationClient.get('/operations/op1')
+      ).rejects.toMatchObject({ response: { status: 401 } });
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getResource', () => {
+    beforeEach(() => {
+      client.cdnClient.get = jest.fn();
+    });
+
+    it('should return the resource', async () => {
+      client.cdnClient.get.mockResolvedValue({ data: { id: 'bc8abc' } });
+
+      await expect(client.getResource('bc8abc')).resolves.toEqual({
+        id: 'bc8abc',
+      });
+      expect(client.cdnClient.get).toHaveBeenCalledWith(
+        '/cdn/v1/resources/bc8abc'
+      );
+    });
+
+    it('should return null for missing resources', async () => {
+      client.cdnClient.get.mockRejectedValue({ response: { status: 404 } });
+
+      await expect(client.getResource('bc8abc')).resolves.toBeNull();
+    });
+
+    it('should retry transient failures', async () => {
+      client.retryOptions = { ...client.retryOptions, initialDelay: 1 };
+      client.cdnClient.get
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValueOnce({ data: { id: 'bc8abc' } });
+
+      await expect(client.getResource('bc8abc')).resolves.toEqual({
+        id: 'bc8abc',
+      });
+      expect(client.cdnClient.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('purgeCache', () => {
+    it('should require fullPurge for empty paths', async () => {
+      await expect(client.purgeCache('bc8abc', [])).rejects.toThrow(
+        'Full purge requires the fullPurge option'
+      );
+      expect(client.cdnClient.post).not.toHaveBeenCalled();
+    });
+
+    it('should send an empty paths list for a full purge', async () => {
+      client.cdnClient.post.mockResolvedValue({ data: { id: 'op1' } });
+
+      const results = await client.purgeCache('bc8abc', [], {
+        fullPurge: true,
+      });
+
+      expect(client.cdnClient.post).toHaveBeenCalledWith(
+        '/cdn/v1/cache/bc8abc:purge',
+        { paths: [] },
+        { signal: null }
+      );
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        operationId: 'op1',
+        status: 'IN_PROGRESS',
+        paths: [],
+      });
+    });
+
+    it('should return one result per batch of 10 paths', async () => {
+      client.cdnClient.post
+        .mockResolvedValueOnce({ data: { id: 'op1' } })
+        .mockResolvedValueOnce({ data: { id: 'op2' } });
+      client.operationClient.get.mockResolvedValue({
+        data: { done: true },
+      });
+
+      const paths = Array.from({ length: 12 }, (_, i) => `/file${i}.js`);
+      const results = await client.purgeCache('bc8abc', paths, {
+        wait: true,
+        timeoutSeconds: 10,
+      });
+
+      expect(results.map(result => result.operationId)).toEqual(['op1', 'op2']);
+      expect(results.map(result => result.status)).toEqual(['DONE', 'DONE']);
+      expect(results[0].paths).toHaveLength(10);
+      expect(results[1].paths).toHaveLength(2);
+      expect(results[1].durationMs).toEqual(expect.any(Number));
+    });
+
+    it('should submit batches in parallel up to the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+      client.cdnClient.post.mockImplementation(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { data: { id: `op${client.cdnClient.post.mock.calls.length}` } };
+      });
+
+      const paths = Array.from({ length: 50 }, (_, i) => `/file${i}.js`);
+      const results = await client.purgeCache('bc8abc', paths, {
+        concurrency: 3,
+      });
+
+      expect(maxActive).toBe(3);
+      expect(results.map(result => result.batch)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should keep submitted batches when a later batch fails', async () => {
+      client.cdnClient.post
+        .mockResolvedValueOnce({ data: { id: 'op1' } })
+        .mockRejectedValueOnce({ response: { status: 403, data: {} } });
+
+      const paths = Array.from({ length: 20 }, (_, i) => `/file${i}.js`);
+      const error = await client
+        .purgeCache('bc8abc', paths, { concurrency: 1 })
+        .catch(e => e);
+
+      expect(error.message).toContain('Permission denied');
+      expect(error).toBeInstanceOf(PermissionDeniedError);
+      expect(error).toMatchObject({
+        status: 403,
+        resourceId: 'bc8abc',
+        retryable: false,
+      });
+      expect(error.operations).toEqual([
+        expect.objectContaining({ batch: 1, operationId: 'op1' }),
+      ]);
+    });
+
+    it('should attach results to errors of failed operations', async () => {
+      client.cdnClient.post.mockResolvedValue({ data: { id: 'op1' } });
+      client.operationClient.get.mockResolvedValue({
+        data: { done: true, error: { code: 13, message: 'Internal' } },
+      });
+
+      const error = await client
+        .purgeCache('bc8abc', ['/index.html'], { wait: true })
+        .catch(e => e);
+
+      expect(error.message).toContain('Operation failed: Internal');
+      expect(error).toBeInstanceOf(OperationFailedError);
+      expect(error.operationId).toBe('op1');
+      expect(error.operations).toEqual([
+        expect.objectContaining({ operationId: 'op1', status: 'ERROR' }),
+      ]);
+    });
+  });
+
+  describe('typed errors', () => {
+    it('should reject invalid arguments with ValidationError', async () => {
+      await expect(client.purgeCache('', ['/a'])).rejects.toBeInstanceOf(
+        ValidationError
+      );
+    });
+
+    it('should report missing resources with NotFoundError', async () => {
+      client.cdnClient.post.mockRejectedValue({
+        message: 'Not Found',
+        response: { status: 404, data: {} },
+      });
+
+      await expect(
+        client.purgeCache('bc8abc', ['/index.html'])
+      ).rejects.toMatchObject({
+        name: 'NotFoundError',
+        code: 'NOT_FOUND',
+        status: 404,
+        resourceId: 'bc8abc',
+      });
+    });
+
+    it('should report missing operations with NotFoundError', async () => {
+      client.operationClient.get.mockRejectedValue({
+        message: 'Not Found',
+        response: { status: 404, data: {} },
+      });
+
+      const error = await client.getOperationStatus('op1').catch(e => e);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.operationId).toBe('op1');
+    });
+
+    it('should raise OperationTimeoutError with the last operation', async () => {
+      client.operationClient.get.mockResolvedValue({
+        data: { id: 'op1', done: false },
+      });
+
+      const error = await client.waitForOperation('op1', 0).catch(e => e);
+
+      expect(error).toBeInstanceOf(OperationTimeoutError);
+      expect(error).toMatchObject({
+        code: 'OPERATION_TIMEOUT',
+        operationId: 'op1',
+        retryable: true,
+        operation: null,
+      });
+    });
+  });
+
+  describe('waitForOperation', () => {
+    const badGateway = {
+      message: 'Bad Gateway',
+      response: { status: 502, statusText: 'Bad Gateway', data: {} },
+    };
+
+    beforeEach(() => {
+      client = new YandexCDNClient('test-token', undefined, {
+        retry: { maxAttempts: 3, initialDelay: 1, maxDelay: 1, jitter: 'none' },
+        polling: { initialInterval: 1, maxInterval: 4, factor: 2 },
+      });
+      client.operationClient.get = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should poll with growing intervals', async () => {
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      for (let i = 0; i < 4; i++) {
+        client.operationClient.get.mockResolvedValueOnce({
+          data: { id: 'op1', done: false },
+        });
+      }
+      client.operationClient.get.mockResolvedValue({
+        data: { id: 'op1', done: true },
+      });
+
+      await client.waitForOperation('op1', 60);
+
+      expect(setTimeoutSpy.mock.calls.map(([, delay]) => delay)).toEqual([
+        1, 2, 4, 4,
+      ]);
+    });
+
+    it('should retry transient polling failures', async () => {
+      client.operationClient.get
+        .mockRejectedValueOnce(badGateway)
+        .mockResolvedValue({ data: { id: 'op1', done: true } });
+
+      const operation = await client.waitForOperation('op1', 60);
+
+      expect(operation).toEqual({ id: 'op1', done: true });
+      expect(client.operationClient.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait for the Retry-After header of the Operations API', async () => {
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      client.operationClient.get
+        .mockRejectedValueOnce({
+          message: 'Too Many Requests',
+          response: {
+            status: 429,
+            statusText: 'Too Many Requests',
+            headers: { 'retry-after': '1' },
+            data: {},
+          },
+        })
+        .mockResolvedValue({ data: { id: 'op1', done: true } });
+
+      await client.waitForOperation('op1', 60);
+
+      expect(setTimeoutSpy.mock.calls.map(([, delay]) => delay)).toContain(
+        1000
+      );
+      expect(client.operationClient.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop waiting with the last known progress when polling keeps failing', async () => {
+      client.operationClient.get
+        .mockResolvedValueOnce({
+          data: { id: 'op1', done: false, metadata: { progress: 40 } },
+        })
+        .mockRejectedValue(badGateway);
+
+      const error = await client.waitForOperation('op1', 60).catch(e => e);
+
+      expect(error).toBeInstanceOf(OperationTimeoutError);
+      expect(error.message).toContain('Could not get operation status');
+      expect(error.message).toContain('Last known progress: 40%');
+      expect(error.operation).toMatchObject({ metadata: { progress: 40 } });
+      expect(client.operationClient.get).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not retry permanent polling failures', async () => {
+      client.operationClient.get.mockRejectedValue({
+        message: 'Not Found',
+        response: { status: 404, data: {} },
+      });
+
+      await expect(client.waitForOperation('op1', 60)).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+      expect(client.operationClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not sleep past the deadline', async () => {
+      client.pollingOptions.initialInterval = 60000;
+      client.operationClient.get.mockResolvedValue({
+        data: { id: 'op1', done: false, metadata: { progress: 10 } },
+      });
+
+      const start = Date.now();
+      const error = await client.waitForOperation('op1', 0.05).catch(e => e);
+
+      expect(Date.now() - start).toBeLessThan(1000);
+      expect(error).toBeInstanceOf(OperationTimeoutError);
+      expect(error.message).toContain('Last known progress: 10%');
+    });
+  });
+
+  describe('resource lookup', () => {
+    beforeEach(() => {
+      client.cdnClient.get = jest
+        .fn()
+        .mockResolvedValueOnce({
+          data: {
+            resources: [{ id: 'bc8a', cname: 'cdn.example.com', active: true }],
+            nextPageToken: 'page2',
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            resources: [
+              {
+                id: 'bc8b',
+                cname: 'www.example.com',
+                secondaryHostnames: ['static.example.com'],
+                active: false,
+              },
+            ],
+          },
+        });
+    });
+
+    it('should list resources across pages', async () => {
+      const resources = await client.listResources('b1folder');
+
+      expect(resources.map(resource => resource.id)).toEqual(['bc8a', 'bc8b']);
+      expect(client.cdnClient.get).toHaveBeenLastCalledWith(
+        '/cdn/v1/resources',
+        { params: { folderId: 'b1folder', pageSize: 1000, pageToken: 'page2' } }
+      );
+    });
+
+    it('should find resources by a secondary hostname', async () => {
+      const resource = await client.getResourceByCname(
+        'Static.Example.com.',
+        'b1folder'
+      );
+
+      expect(resource.id).toBe('bc8b');
+    });
+
+    it('should require a folder', async () => {
+      await expect(
+        client.getResourceByCname('cdn.example.com', '')
+      ).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should space batches of a resource', async () => {
+      client = new YandexCDNClient('test-token', undefined, {
+        rateLimit: { requests: 1, perSeconds: 0.03 },
+      });
+      const sentAt = [];
+      client.cdnClient.post = jest.fn(async () => {
+        sentAt.push(Date.now());
+        return { data: { id: `op${sentAt.length}` } };
+      });
+      const paths = Array.from({ length: 30 }, (_, i) => `/file${i}.js`);
+
+      const results = await client.purgeCache('bc8abc', paths);
+
+      expect(results).toHaveLength(3);
+      expect(sentAt[1] - sentAt[0]).toBeGreaterThanOrEqual(25);
+      expect(sentAt[2] - sentAt[1]).toBeGreaterThanOrEqual(25);
+    });
+
+    it('should fail batches the rate limit delays past the timeout', async () => {
+      client = new YandexCDNClient('test-token', undefined, {
+        rateLimit: { requests: 1, perSeconds: 3600 },
+      });
+      client.cdnClient.post = jest.fn().mockResolvedValue({
+        data: { id: 'op1' },
+      });
+      const paths = Array.from({ length: 11 }, (_, i) => `/file${i}.js`);
+
+      const error = await client
+        .purgeCache('bc8abc', paths, { timeoutSeconds: 60, concurrency: 1 })
+        .catch(e => e);
+
+      expect(error.message).toContain(
+        'Cache purge batch 2 cannot be sent before the timeout'
+      );
+      expect(error.resourceId).toBe('bc8abc');
+      expect(error.operations).toMatchObject([{ operationId: 'op1' }]);
+      expect(client.cdnClient.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cancellation', () => {
+    let controller;
+
+    beforeEach(() => {
+      controller = new AbortController();
+      client = new YandexCDNClient('test-token', undefined, {
+        signal: controller.signal,
+        polling: { initialInterval: 10000 },
+      });
+      client.cdnClient.post = jest.fn();
+      client.operationClient.get = jest.fn();
+      client.operationClient.post = jest.fn();
+    });
+
+    it('should not submit batches after cancellation', async () => {
+      controller.abort(new CancelledError('Cancelled by SIGTERM'));
+
+      const error = await client
+        .purgeCache('bc8abc', ['/index.html'])
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(CancelledError);
+      expect(error.message).toBe('Cancelled by SIGTERM');
+      expect(error.operations).toEqual([]);
+      expect(client.cdnClient.post).not.toHaveBeenCalled();
+    });
+
+    it('should stop waiting and keep submitted operations in progress', async () => {
+      client.cdnClient.post.mockResolvedValue({ data: { id: 'op1' } });
+      client.operationClient.get.mockImplementation(async () => {
+        setImmediate(() => controller.abort());
+        return { data: { id: 'op1', done: false } };
+      });
+
+      const error = await client
+        .purgeCache('bc8abc', ['/index.html'], { wait: true })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(CancelledError);
+      expect(error.code).toBe('CANCELLED');
+      expect(error.operations).toMatchObject([
+        { operationId: 'op1', status: 'IN_PROGRESS' },
+      ]);
+    });
+
+    it('should let in-flight batches finish and not submit new ones', async () => {
+      const custom = new YandexCDNClient('test-token', undefined, {
+        signal: controller.signal,
+      });
+      let submit;
+      custom.cdnClient.defaults.adapter = jest.fn(
+        config =>
+          new Promise((resolve, reject) => {
+            config.signal?.addEventListener('abort', () =>
+              reject(new Error('aborted'))
+            );
+            submit = () =>
+              resolve({
+                data: { id: 'op1' },
+                status: 200,
+                headers: {},
+                config,
+              });
+          })
+      );
+
+      const promise = custom
+        .purgeCache(
+          'bc8abc',
+          Array.from({ length: 20 }, (_, i) => `/file${i}.js`),
+          { concurrency: 1 }
+        )
+        .catch(e => e);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      controller.abort(new CancelledError('Cancelled by SIGINT'));
+      submit();
+      const error = await promise;
+
+      expect(error).toBeInstanceOf(CancelledError);
+      expect(custom.cdnClient.defaults.adapter).toHaveBeenCalledTimes(1);
+      expect(error.operations).toMatchObject([
+        { batch: 1, operationId: 'op1', status: 'IN_PROGRESS' },
+      ]);
+    });
+
+    it('should abort in-flight requests with CancelledError', async () => {
+      const custom = new YandexCDNClient('test-token', undefined, {
+        signal: controller.signal,
+      });
+      custom.cdnClient.defaults.adapter = jest.fn(
+        config =>
+          new Promise((resolve, reject) => {
+            config.signal.addEventListener('abort', () =>
+              reject(new Error('aborted'))
+            );
+          })
+      );
+
+      const promise = custom.getResource('bc8abc');
+      setImmediate(() => controller.abort());
+
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+    });
+
+    it('should cancel operations after the client was cancelled', async () => {
+      controller.abort();
+      client.operationClient.post.mockResolvedValue({
+        data: { id: 'op1', done: true },
+      });
+
+      const operation = await client.cancelOperation('op1');
+
+      expect(operation).toEqual({ id: 'op1', done: true });
+      expect(client.operationClient.post).toHaveBeenCalledWith(
+        '/operations/op1:cancel',
+        {},
+        expect.objectContaining({ signal: null })
+      );
+    });
+
+    it('should report operations that cannot be cancelled', async () => {
+      client.operationClient.post.mockRejectedValue({
+        message: 'Bad Request',
+        response: {
+          status: 400,
+          data: { message: 'operation cannot be cancelled' },
+        },
+      });
+
+      await expect(client.cancelOperation('op1')).rejects.toMatchObject({
+        message:
+          'Failed to cancel operation op1: operation cannot be cancelled',
+        operationId: 'op1',
+        status: 400,
+      });
+    });
+  });
+
+  describe('prefetch', () => {
+    it('should post batches to the prefetch endpoint and skip wildcards', async () => {
+      client.cdnClient.post.mockResolvedValue({ data: { id: 'op1' } });
+
+      const results = await client.prefetch('bc8abc', [
+        '/index.html',
+        '/assets/*',
+      ]);
+
+      expect(client.cdnClient.post).toHaveBeenCalledTimes(1);
+      expect(client.cdnClient.post).toHaveBeenCalledWith(
+        '/cdn/v1/cache/bc8abc:prefetch',
+        { paths: ['/index.html'] },
+        { signal: null }
+      );
+      expect(results[0]).toMatchObject({
+        operationId: 'op1',
+        paths: ['/index.html'],
+      });
+    });
+
+    it('should require paths', async () => {
+      await expect(client.prefetch('bc8abc', [])).rejects.toThrow(
+        'At least one path is required'
+      );
+    });
+  });
+});
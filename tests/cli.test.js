@@ -0,0 +1,97 @@
+jest.mock('@actions/core');
+
+const fs = require('fs');
+const path = require('path');
+const { parseCliArgs, formatResult, INPUTS } = require('../src/cli');
+
+describe('cli', () => {
+  describe('INPUTS', () => {
+    it('should mirror the action inputs', () => {
+      const actionYml = fs.readFileSync(
+        path.join(__dirname, '..', 'action.yml'),
+        'utf8'
+      );
+      const inputsSection = actionYml.slice(
+        actionYml.indexOf('inputs:'),
+        actionYml.indexOf('outputs:')
+      );
+      const names = [...inputsSection.matchAll(/^ {2}([a-z0-9-]+):$/gm)].map(
+        match => match[1]
+      );
+
+      expect(INPUTS.map(input => input.name).sort()).toEqual(names.sort());
+    });
+  });
+
+  describe('parseCliArgs', () => {
+    it('should apply action defaults', () => {
+      const { inputs, output } = parseCliArgs([], {});
+
+      expect(inputs.wait).toBe('true');
+      expect(inputs.timeout).toBe('900');
+      expect(inputs['resource-id']).toBe('');
+      expect(output).toBe('text');
+    });
+
+    it('should prefer flags over environment variables', () => {
+      const { inputs } = parseCliArgs(['--resource-id', 'bc8flag'], {
+        YANDEX_CDN_RESOURCE_ID: 'bc8env',
+        YANDEX_CDN_PATHS: '/index.html',
+      });
+
+      expect(inputs['resource-id']).toBe('bc8flag');
+      expect(inputs.paths).toBe('/index.html');
+    });
+
+    it('should support boolean flags and their negation', () => {
+      const { inputs } = parseCliArgs(['--dry-run', '--no-wait'], {
+        YANDEX_CDN_WAIT: 'true',
+      });
+
+      expect(inputs['dry-run']).toBe('true');
+      expect(inputs.wait).toBe('false');
+    });
+
+    it('should fall back to GITHUB_TOKEN for github-token', () => {
+      expect(
+        parseCliArgs([], { GITHUB_TOKEN: 'gh' }).inputs['github-token']
+      ).toBe('gh');
+    });
+
+    it('should fall back to CI_COMMIT_REF_NAME for ref', () => {
+      expect(parseCliArgs([], { CI_COMMIT_REF_NAME: 'main' }).inputs.ref).toBe(
+        'main'
+      );
+    });
+
+    it('should reject unknown options and output formats', () => {
+      expect(() => parseCliArgs(['--bogus'], {})).toThrow("'--bogus'");
+      expect(() => parseCliArgs(['--output', 'xml'], {})).toThrow(
+        'Invalid --output value "xml"'
+      );
+    });
+  });
+
+  describe('formatResult', () => {
+    const outputs = {
+      'operation-id': 'op1',
+      status: 'DONE',
+      operations: '[{"operationId":"op1"}]',
+    };
+
+    it('should print plain outputs as text', () => {
+      expect(formatResult(outputs, null, 'text')).toBe(
+        'operation-id: op1\nstatus: DONE'
+      );
+    });
+
+    it('should print all outputs and the error as JSON', () => {
+      expect(JSON.parse(formatResult(outputs, 'boom', 'json'))).toEqual({
+        'operation-id': 'op1',
+        status: 'DONE',
+        operations: [{ operationId: 'op1' }],
+        error: 'boom',
+      });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { mapWithConcurrency } = require('../src/concurrency');
+const { sleep } = require('../src/retry');
+
+describe('Concurrency Module', () => {
+  describe('mapWithConcurrency', () => {
+    it('should keep results in input order', async () => {
+      const results = await mapWithConcurrency([30, 10, 20], 3, async ms => {
+        await sleep(ms);
+        return ms;
+      });
+      expect(results).toEqual([30, 10, 20]);
+    });
+
+    it('should not exceed the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+
+      await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(5);
+        active--;
+      });
+
+      expect(maxActive).toBe(2);
+    });
+
+    it('should stop starting calls after a failure', async () => {
+      const fn = jest.fn(async item => {
+        await sleep(5);
+        if (item === 2) {
+          throw new Error('failed');
+        }
+        return item;
+      });
+
+      await expect(mapWithConcurrency([1, 2, 3, 4, 5], 2, fn)).rejects.toThrow(
+        'failed'
+      );
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should handle empty input', async () => {
+      await expect(mapWithConcurrency([], 2, jest.fn())).resolves.toEqual([]);
+    });
+  });
+});
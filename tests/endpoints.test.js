@@ -0,0 +1,39 @@
+const { resolveEndpoints, DEFAULT_ENDPOINTS } = require('../src/endpoints');
+
+describe('resolveEndpoints', () => {
+  it('should default to public Yandex Cloud endpoints', () => {
+    expect(resolveEndpoints()).toEqual(DEFAULT_ENDPOINTS);
+  });
+
+  it('should derive Operations and IAM endpoints from a cdn.<base> endpoint', () => {
+    expect(
+      resolveEndpoints({ endpoint: 'https://cdn.api.cloud.example.internal/' })
+    ).toEqual({
+      cdn: 'https://cdn.api.cloud.example.internal',
+      operation: 'https://operation.api.cloud.example.internal',
+      iam: 'https://iam.api.cloud.example.internal',
+    });
+  });
+
+  it('should use any other endpoint for all APIs', () => {
+    expect(resolveEndpoints({ endpoint: 'http://localhost:18080' })).toEqual({
+      cdn: 'http://localhost:18080',
+      operation: 'http://localhost:18080',
+      iam: 'http://localhost:18080',
+    });
+  });
+
+  it('should prefer explicit endpoints', () => {
+    expect(
+      resolveEndpoints({
+        endpoint: 'https://cdn.api.cloud.yandex.net',
+        operationEndpoint: 'https://ops.example.com/',
+        iamEndpoint: 'https://iam.example.com',
+      })
+    ).toEqual({
+      cdn: 'https://cdn.api.cloud.yandex.net',
+      operation: 'https://ops.example.com',
+      iam: 'https://iam.example.com',
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  CdnError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ApiError,
+  OperationTimeoutError,
+  fromHttpError,
+} = require('../src/errors');
+
+describe('errors', () => {
+  it('should carry details', () => {
+    const error = new NotFoundError('missing', {
+      status: 404,
+      resourceId: 'bc8abc',
+    });
+
+    expect(error).toBeInstanceOf(CdnError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({
+      name: 'NotFoundError',
+      code: 'NOT_FOUND',
+      message: 'missing',
+      status: 404,
+      resourceId: 'bc8abc',
+      operationId: null,
+      retryable: false,
+    });
+  });
+
+  it('should mark operation timeouts retryable and keep the operation', () => {
+    const error = new OperationTimeoutError(
+      'timeout',
+      { id: 'op1' },
+      { operationId: 'op1' }
+    );
+
+    expect(error).toMatchObject({
+      code: 'OPERATION_TIMEOUT',
+      operationId: 'op1',
+      retryable: true,
+      operation: { id: 'op1' },
+    });
+  });
+
+  describe('fromHttpError', () => {
+    it.each([
+      [401, AuthenticationError, false],
+      [403, PermissionDeniedError, false],
+      [404, NotFoundError, false],
+      [400, ApiError, false],
+      [503, ApiError, true],
+    ])('should map status %i', (status, ErrorClass, retryable) => {
+      const cause = { message: 'failed', response: { status } };
+      const error = fromHttpError('failed', cause, { resourceId: 'bc8abc' });
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toMatchObject({ status, retryable, resourceId: 'bc8abc' });
+      expect(error.cause).toBe(cause);
+    });
+
+    it('should treat network errors as retryable API errors', () => {
+      const error = fromHttpError('failed', { code: 'ECONNRESET' });
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toMatchObject({ status: null, retryable: true });
+    });
+
+    it('should use a given class', () => {
+      const error = fromHttpError(
+        'failed',
+        { response: { status: 400 } },
+        {},
+        AuthenticationError
+      );
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.status).toBe(400);
+    });
+  });
+});
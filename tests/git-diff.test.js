@@ -0,0 +1,109 @@
+const {
+  parsePathMappings,
+  mapFilesToPaths,
+  getChangedFiles,
+} = require('../src/git-diff');
+
+describe('Git Diff Module', () => {
+  describe('parsePathMappings', () => {
+    it('should parse mapping rules', () => {
+      expect(parsePathMappings('dist/:/\n./public/img:img/')).toEqual([
+        { from: 'dist/', to: '/' },
+        { from: 'public/img/', to: '/img/' },
+      ]);
+    });
+
+    it('should reject rules without separator', () => {
+      expect(() => parsePathMappings('dist')).toThrow('Invalid path mapping');
+    });
+  });
+
+  describe('mapFilesToPaths', () => {
+    it('should map every file to the root without rules', () => {
+      expect(mapFilesToPaths(['index.html', 'a/b.js'], [])).toEqual([
+        '/index.html',
+        '/a/b.js',
+      ]);
+    });
+
+    it('should escape URL syntax in file names', () => {
+      expect(
+        mapFilesToPaths(
+          ['dist/a#b.js', 'dist/q?x.html', 'dist/*.js'],
+          parsePathMappings('dist/:/')
+        )
+      ).toEqual(['/a%23b.js', '/q%3Fx.html', '/%2A.js']);
+    });
+
+    it('should map files through the first matching rule', () => {
+      const mappings = parsePathMappings('dist/:/, public/img/:/images');
+      expect(
+        mapFilesToPaths(
+          ['dist/index.html', 'public/img/logo.png', 'src/app.js'],
+          mappings
+        )
+      ).toEqual(['/index.html', '/images/logo.png']);
+    });
+  });
+
+  describe('getChangedFiles', () => {
+    const params = { owner: 'o', repo: 'r', base: 'abc', head: 'def' };
+
+    it('should collect changed, removed and renamed files', async () => {
+      const octokit = {
+        rest: {
+          repos: {
+            compareCommitsWithBasehead: jest.fn().mockResolvedValue({
+              data: {
+                files: [
+                  { filename: 'dist/a.js' },
+                  { filename: 'dist/b.js', previous_filename: 'dist/old.js' },
+                ],
+              },
+            }),
+          },
+        },
+      };
+
+      await expect(getChangedFiles(octokit, params)).resolves.toEqual([
+        'dist/a.js',
+        'dist/b.js',
+        'dist/old.js',
+      ]);
+      expect(
+        octokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({ basehead: 'abc...def' })
+      );
+    });
+
+    it('should fail when the comparison lists the maximum number of files', async () => {
+      const octokit = {
+        rest: {
+          repos: {
+            compareCommitsWithBasehead: jest.fn().mockResolvedValue({
+              data: {
+                files: Array.from({ length: 300 }, (_, i) => ({
+                  filename: `dist/${i}.js`,
+                })),
+              },
+            }),
+          },
+        },
+      };
+
+      await expect(getChangedFiles(octokit, params)).rejects.toThrow(
+        'abc...def changes 300 or more files'
+      );
+      expect(
+        octokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a zero base SHA', async () => {
+      await expect(
+        getChangedFiles({}, { ...params, base: '0000000000' })
+      ).rejects.toThrow('base ref is missing');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { createTransport } = require('../src/http');
+
+describe('createTransport', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    for (const name of ['HTTPS_PROXY', 'HTTP_PROXY', 'NO_PROXY', 'ALL_PROXY']) {
+      delete process.env[name];
+      delete process.env[name.toLowerCase()];
+    }
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('should disable the proxy without proxy variables', () => {
+    expect(createTransport('https://cdn.api.cloud.yandex.net')).toEqual({
+      proxy: false,
+      httpsAgent: undefined,
+    });
+  });
+
+  it('should tunnel through HTTPS_PROXY', () => {
+    process.env.HTTPS_PROXY = 'http://proxy.local:3128';
+
+    const transport = createTransport('https://cdn.api.cloud.yandex.net');
+
+    expect(transport.proxy).toBe(false);
+    expect(transport.httpsAgent).toBeInstanceOf(HttpsProxyAgent);
+    expect(transport.httpsAgent.proxy.host).toBe('proxy.local:3128');
+  });
+
+  it('should bypass the proxy for NO_PROXY hosts', () => {
+    process.env.HTTPS_PROXY = 'http://proxy.local:3128';
+    process.env.NO_PROXY = '.yandex.net';
+
+    expect(
+      createTransport('https://cdn.api.cloud.yandex.net').httpsAgent
+    ).toBeUndefined();
+  });
+
+  it('should trust extra CA certificates', () => {
+    const caFile = path.join(os.tmpdir(), `ca-${process.pid}.pem`);
+    fs.writeFileSync(caFile, 'CERTIFICATE');
+
+    try {
+      const transport = createTransport('https://cdn.api.cloud.yandex.net', {
+        caFile,
+      });
+      expect(transport.httpsAgent.options.ca).toContain('CERTIFICATE');
+    } finally {
+      fs.unlinkSync(caFile);
+    }
+  });
+
+  it('should fail on unreadable CA files', () => {
+    expect(() =>
+      createTransport('https://cdn.api.cloud.yandex.net', {
+        caFile: '/nonexistent/ca.pem',
+      })
+    ).toThrow('Failed to read CA certificates "/nonexistent/ca.pem"');
+  });
+});
@@ -0,0 +1,951 @@
+jest.mock('@actions/core');
+
+const http = require('http');
+const github = require('@actions/github');
+const {
+  parsePaths,
+  isRefAllowed,
+  validateFullPurge,
+  resolveRepository,
+  parseRetryOptions,
+  parseRateLimit,
+  aggregateStatus,
+  purgeResource,
+  checkOperations,
+  cancelPendingOperations,
+  reportCancellation,
+  runResourceList,
+  setResourceOutputs,
+  run,
+} = require('../src/index');
+const { CancelledError } = require('../src/errors');
+
+describe('Index Module', () => {
+  describe('parsePaths', () => {
+    it('should return empty array for empty input', () => {
+      expect(parsePaths('')).toEqual([]);
+      expect(parsePaths('   ')).toEqual([]);
+    });
+
+    it('should reject invalid paths before any API call', () => {
+      expect(() => parsePaths('/a.js, https://cdn.example.com/b.js')).toThrow(
+        'full URLs are only accepted'
+      );
+    });
+
+    it('should trim paths and add leading slash', () => {
+      expect(parsePaths(' index.html, /assets/* ')).toEqual([
+        '/index.html',
+        '/assets/*',
+      ]);
+    });
+  });
+
+  describe('isRefAllowed', () => {
+    it('should match full and short refs', () => {
+      expect(isRefAllowed('refs/heads/main', ['main'])).toBe(true);
+      expect(isRefAllowed('refs/heads/main', ['refs/heads/main'])).toBe(true);
+      expect(isRefAllowed('refs/heads/dev', ['main'])).toBe(false);
+    });
+
+    it('should match prefix wildcards', () => {
+      expect(isRefAllowed('refs/tags/v1.2.0', ['refs/tags/v*'])).toBe(true);
+      expect(isRefAllowed('refs/heads/release/1.0', ['release/*'])).toBe(true);
+      expect(isRefAllowed('refs/heads/feature/x', ['release/*'])).toBe(false);
+    });
+
+    it('should reject missing ref', () => {
+      expect(isRefAllowed(undefined, ['main'])).toBe(false);
+    });
+  });
+
+  describe('validateFullPurge', () => {
+    it('should require explicit opt-in', () => {
+      expect(() => validateFullPurge(false, [], 'refs/heads/main')).toThrow(
+        'full-purge: true'
+      );
+    });
+
+    it('should allow any ref when allowlist is empty', () => {
+      expect(() => validateFullPurge(true, [], 'refs/heads/dev')).not.toThrow();
+    });
+
+    it('should reject refs outside the allowlist', () => {
+      expect(() => validateFullPurge(true, ['main'], 'refs/heads/dev')).toThrow(
+        'Full purge is not allowed for ref "refs/heads/dev"'
+      );
+    });
+  });
+
+  describe('resolveRepository', () => {
+    const repository = process.env.GITHUB_REPOSITORY;
+
+    afterEach(() => {
+      if (repository === undefined) {
+        delete process.env.GITHUB_REPOSITORY;
+      } else {
+        process.env.GITHUB_REPOSITORY = repository;
+      }
+    });
+
+    it('should parse owner/repo', () => {
+      expect(resolveRepository('foxdalas/site')).toEqual({
+        owner: 'foxdalas',
+        repo: 'site',
+      });
+      expect(() => resolveRepository('site')).toThrow(
+        'Invalid repository value: "site"'
+      );
+    });
+
+    it('should require a repository outside GitHub Actions', () => {
+      delete process.env.GITHUB_REPOSITORY;
+
+      expect(() => resolveRepository('')).toThrow(
+        'repository is required when paths-from-diff is used outside GitHub Actions'
+      );
+    });
+
+    it('should default to the repository of the workflow run', () => {
+      process.env.GITHUB_REPOSITORY = 'foxdalas/site';
+
+      expect(resolveRepository('')).toEqual({
+        owner: 'foxdalas',
+        repo: 'site',
+      });
+    });
+  });
+
+  describe('parseRetryOptions', () => {
+    const inputs = {
+      maxAttempts: '',
+      initialDelay: '',
+      maxDelay: '',
+      jitter: 'full',
+    };
+
+    it('should use the defaults and convert delays to ms', () => {
+      expect(parseRetryOptions(inputs)).toEqual({
+        maxAttempts: 12,
+        initialDelay: 10000,
+        maxDelay: 120000,
+        jitter: 'full',
+      });
+    });
+
+    it('should reject a max delay below the initial delay', () => {
+      expect(() =>
+        parseRetryOptions({ ...inputs, initialDelay: '30', maxDelay: '10' })
+      ).toThrow('Must not be less than retry-initial-delay');
+    });
+
+    it('should reject unknown jitter strategies', () => {
+      expect(() => parseRetryOptions({ ...inputs, jitter: 'random' })).toThrow(
+        'Invalid retry-jitter value: "random"'
+      );
+    });
+  });
+
+  describe('parseRateLimit', () => {
+    it('should be disabled when empty', () => {
+      expect(parseRateLimit('', '1')).toBeNull();
+    });
+
+    it('should parse requests per seconds and burst', () => {
+      expect(parseRateLimit(' 10 / 60 ', '3')).toEqual({
+        requests: 10,
+        perSeconds: 60,
+        burst: 3,
+      });
+      expect(parseRateLimit('10/60', '')).toMatchObject({ burst: 1 });
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => parseRateLimit('10 per minute', '1')).toThrow(
+        'Invalid rate-limit value: "10 per minute"'
+      );
+      expect(() => parseRateLimit('0/60', '1')).toThrow(
+        'Invalid rate-limit value'
+      );
+      expect(() => parseRateLimit('10/60', '0')).toThrow(
+        'Invalid rate-limit-burst value'
+      );
+    });
+  });
+
+  describe('aggregateStatus', () => {
+    it('should report DONE when all batches are done', () => {
+      expect(aggregateStatus([{ status: 'DONE' }, { status: 'DONE' }])).toBe(
+        'DONE'
+      );
+    });
+
+    it('should report ERROR when any batch failed', () => {
+      expect(
+        aggregateStatus([{ status: 'IN_PROGRESS' }, { status: 'ERROR' }])
+      ).toBe('ERROR');
+    });
+
+    it('should report PLANNED for dry runs', () => {
+      expect(aggregateStatus([{ status: 'PLANNED' }])).toBe('PLANNED');
+    });
+
+    it('should report CANCELLED when the run was cancelled', () => {
+      expect(
+        aggregateStatus([{ status: 'DONE' }, { status: 'CANCELLED' }])
+      ).toBe('CANCELLED');
+    });
+
+    it('should report IN_PROGRESS when any batch is pending', () => {
+      expect(
+        aggregateStatus([{ status: 'DONE' }, { status: 'IN_PROGRESS' }])
+      ).toBe('IN_PROGRESS');
+    });
+  });
+
+  describe('purgeResource', () => {
+    const options = {
+      paths: ['/index.html'],
+      prefetchPaths: null,
+      prefetch: false,
+      fullPurge: false,
+      wait: false,
+      timeout: 60,
+      folderId: 'b1folder',
+      skipNotFound: false,
+    };
+    const resource = {
+      id: 'bc8abc',
+      cname: 'cdn.example.com',
+      secondaryHostnames: ['static.example.com'],
+      originGroupId: '42',
+      originGroupName: 'site',
+      active: true,
+    };
+
+    it('should resolve CNAME and purge the resource', async () => {
+      const client = {
+        getResourceByCname: jest.fn().mockResolvedValue({ id: 'bc8abc' }),
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest
+          .fn()
+          .mockResolvedValue([{ operationId: 'op1', status: 'DONE' }]),
+      };
+
+      const result = await purgeResource(
+        client,
+        { cname: 'cdn.example.com' },
+        options
+      );
+
+      expect(client.purgeCache).toHaveBeenCalledWith(
+        'bc8abc',
+        ['/index.html'],
+        { wait: false, timeoutSeconds: 60, fullPurge: false }
+      );
+      expect(result).toMatchObject({
+        resource: 'cdn.example.com',
+        resourceId: 'bc8abc',
+        status: 'DONE',
+      });
+    });
+
+    it('should give the prefetch the time the purge left', async () => {
+      let now = 1_000_000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn(async () => {
+          now += 45_000;
+          return [{ operationId: 'op1', status: 'DONE' }];
+        }),
+        prefetch: jest
+          .fn()
+          .mockResolvedValue([{ operationId: 'op2', status: 'DONE' }]),
+      };
+
+      try {
+        await purgeResource(
+          client,
+          { id: 'bc8abc' },
+          { ...options, prefetch: true, prefetchPaths: ['/index.html'] }
+        );
+      } finally {
+        Date.now.mockRestore();
+      }
+
+      expect(client.prefetch).toHaveBeenCalledWith(
+        'bc8abc',
+        ['/index.html'],
+        expect.objectContaining({ timeoutSeconds: 15 })
+      );
+    });
+
+    it('should mark cancelled resources and keep submitted operations', async () => {
+      const error = new CancelledError('Cancelled by SIGINT');
+      error.operations = [{ batch: 1, operationId: 'op1', status: 'DONE' }];
+      const client = {
+        getResourceByCname: jest.fn().mockResolvedValue({ id: 'bc8abc' }),
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn().mockRejectedValue(error),
+      };
+
+      const result = await purgeResource(
+        client,
+        { cname: 'cdn.example.com' },
+        options
+      );
+
+      expect(result).toMatchObject({
+        status: 'CANCELLED',
+        error: 'Cancelled by SIGINT',
+        operations: error.operations,
+      });
+    });
+
+    it('should skip resources that are not found', async () => {
+      const client = { getResourceByCname: jest.fn().mockResolvedValue(null) };
+
+      const result = await purgeResource(
+        client,
+        { cname: 'cdn.example.com' },
+        { ...options, skipNotFound: true }
+      );
+
+      expect(result.status).toBe('SKIPPED');
+    });
+
+    it('should plan without purging in dry-run mode', async () => {
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn(),
+      };
+      const paths = Array.from({ length: 12 }, (_, i) => `/file${i}.js`);
+
+      const result = await purgeResource(
+        client,
+        { id: 'bc8abc' },
+        { ...options, paths, dryRun: true }
+      );
+
+      expect(client.purgeCache).not.toHaveBeenCalled();
+      expect(result.status).toBe('PLANNED');
+      expect(result.plan.purgeBatches.map(batch => batch.length)).toEqual([
+        10, 2,
+      ]);
+    });
+
+    it('should fail for missing resources', async () => {
+      const client = { getResource: jest.fn().mockResolvedValue(null) };
+
+      const result = await purgeResource(
+        client,
+        { id: 'bc8abc' },
+        { ...options, dryRun: true }
+      );
+
+      expect(result).toMatchObject({
+        status: 'ERROR',
+        error: expect.stringContaining('CDN Resource not found: bc8abc'),
+      });
+    });
+
+    it('should report failures instead of throwing', async () => {
+      const error = new Error('CDN purge failed');
+      error.operations = [{ operationId: 'op1', status: 'ERROR' }];
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn().mockRejectedValue(error),
+      };
+
+      const result = await purgeResource(client, { id: 'bc8abc' }, options);
+
+      expect(result).toMatchObject({
+        status: 'ERROR',
+        error: 'CDN purge failed',
+        operations: error.operations,
+      });
+    });
+
+    it('should expose the resolved resource details', async () => {
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn().mockResolvedValue([]),
+      };
+
+      const result = await purgeResource(client, { id: 'bc8abc' }, options);
+
+      expect(client.getResource).toHaveBeenCalledWith('bc8abc', {
+        deadline: expect.any(Number),
+      });
+      expect(result.details).toEqual(resource);
+    });
+
+    it('should refuse to purge inactive resources', async () => {
+      const client = {
+        getResource: jest
+          .fn()
+          .mockResolvedValue({ ...resource, active: false }),
+        purgeCache: jest.fn(),
+      };
+
+      const result = await purgeResource(client, { id: 'bc8abc' }, options);
+
+      expect(client.purgeCache).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        status: 'ERROR',
+        error: expect.stringContaining(
+          'CDN resource bc8abc (cdn.example.com) is inactive'
+        ),
+      });
+    });
+
+    it('should only warn about inactive resources in warn mode', async () => {
+      const client = {
+        getResource: jest
+          .fn()
+          .mockResolvedValue({ ...resource, active: false }),
+        purgeCache: jest.fn().mockResolvedValue([]),
+      };
+
+      const result = await purgeResource(
+        client,
+        { id: 'bc8abc' },
+        {
+          ...options,
+          resourceCheck: 'warn',
+        }
+      );
+
+      expect(client.purgeCache).toHaveBeenCalled();
+      expect(result.details.active).toBe(false);
+    });
+
+    it('should refuse to purge a resource not serving the expected CNAME', async () => {
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn(),
+      };
+
+      const result = await purgeResource(
+        client,
+        { id: 'bc8abc', expectedCname: 'www.example.com' },
+        options
+      );
+
+      expect(client.purgeCache).not.toHaveBeenCalled();
+      expect(result.error).toContain('not the expected www.example.com');
+    });
+
+    describe('freshness verification', () => {
+      let server;
+      let endpoint;
+      let buildId;
+
+      beforeAll(done => {
+        server = http.createServer((req, res) => {
+          res.setHeader('X-Build-Id', buildId);
+          res.end('ok');
+        });
+        server.listen(0, '127.0.0.1', () => {
+          endpoint = `http://127.0.0.1:${server.address().port}`;
+          done();
+        });
+      });
+
+      afterAll(done => {
+        server.close(done);
+      });
+
+      const verifyOptions = () => ({
+        ...options,
+        wait: true,
+        verify: {
+          expect: { header: { name: 'X-Build-Id', value: '2' } },
+          paths: null,
+          sampleSize: 3,
+          endpoint,
+          timeoutSeconds: 1,
+          interval: 100,
+        },
+      });
+      const client = () => ({
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest
+          .fn()
+          .mockResolvedValue([{ operationId: 'op1', status: 'DONE' }]),
+      });
+
+      it('should verify a sample of purged paths once the purge is done', async () => {
+        buildId = '2';
+
+        const result = await purgeResource(
+          client(),
+          { id: 'bc8abc' },
+          { ...verifyOptions(), paths: ['/index.html', '/assets/*'] }
+        );
+
+        expect(result.status).toBe('DONE');
+        expect(result.verification).toEqual([
+          expect.objectContaining({
+            path: '/index.html',
+            url: `${endpoint}/index.html`,
+            fresh: true,
+          }),
+        ]);
+      });
+
+      it('should fail the resource when content stays stale', async () => {
+        buildId = '1';
+
+        const result = await purgeResource(
+          client(),
+          { id: 'bc8abc' },
+          verifyOptions()
+        );
+
+        expect(result).toMatchObject({
+          status: 'ERROR',
+          error:
+            'Stale content after 1s: /index.html (X-Build-Id 1, expected 2)',
+          verification: [expect.objectContaining({ fresh: false })],
+        });
+      });
+    });
+
+    it('should check full URL hosts against the resolved resource', async () => {
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn().mockResolvedValue([]),
+      };
+
+      await purgeResource(
+        client,
+        { id: 'bc8abc' },
+        {
+          ...options,
+          urlHosts: ['static.example.com'],
+        }
+      );
+      const result = await purgeResource(
+        client,
+        { id: 'bc8abc' },
+        {
+          ...options,
+          urlHosts: ['other.example.com'],
+        }
+      );
+
+      expect(client.purgeCache).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({
+        status: 'ERROR',
+        error:
+          'Full URLs for other.example.com do not match CDN resource bc8abc ' +
+          '(cdn.example.com, static.example.com)',
+      });
+    });
+
+    it('should accept secondary hostnames as the expected CNAME', async () => {
+      const client = {
+        getResource: jest.fn().mockResolvedValue(resource),
+        purgeCache: jest.fn().mockResolvedValue([]),
+      };
+
+      const result = await purgeResource(
+        client,
+        { id: 'bc8abc', expectedCname: 'Static.Example.com.' },
+        options
+      );
+
+      expect(client.purgeCache).toHaveBeenCalled();
+      expect(result.error).toBeUndefined();
+    });
+  });
+
+  describe('checkOperations', () => {
+    it('should report status without waiting', async () => {
+      const client = {
+        getOperationStatus: jest.fn().mockResolvedValue({
+          id: 'op1',
+          done: false,
+          metadata: { resourceId: 'bc8abc' },
+        }),
+        waitForOperation: jest.fn(),
+      };
+
+      const operations = await checkOperations(client, ['op1'], {
+        wait: false,
+        timeout: 60,
+      });
+
+      expect(client.waitForOperation).not.toHaveBeenCalled();
+      expect(operations).toEqual([
+        expect.objectContaining({
+          operationId: 'op1',
+          status: 'IN_PROGRESS',
+          metadata: { resourceId: 'bc8abc' },
+        }),
+      ]);
+    });
+
+    it('should report failed and timed out operations while waiting', async () => {
+      const failed = new Error('Operation failed');
+      failed.operation = { done: true, error: { message: 'Internal' } };
+      const timedOut = new Error('Operation timeout');
+      timedOut.operation = null;
+      const client = {
+        waitForOperation: jest
+          .fn()
+          .mockResolvedValueOnce({ done: true })
+          .mockRejectedValueOnce(failed)
+          .mockRejectedValueOnce(timedOut),
+      };
+
+      const operations = await checkOperations(client, ['op1', 'op2', 'op3'], {
+        wait: true,
+        timeout: 60,
+      });
+
+      expect(operations.map(operation => operation.status)).toEqual([
+        'DONE',
+        'ERROR',
+        'IN_PROGRESS',
+      ]);
+      expect(operations[1].error).toBe('Internal');
+    });
+  });
+
+  describe('cancellation', () => {
+    const cancelledResults = () => [
+      {
+        resource: 'bc8abc',
+        status: 'CANCELLED',
+        operations: [
+          { batch: 1, operationId: 'op1', status: 'DONE' },
+          { batch: 2, operationId: 'op2', status: 'IN_PROGRESS' },
+          { batch: 3, operationId: 'op3', status: 'IN_PROGRESS' },
+        ],
+        prefetchOperations: [],
+      },
+      {
+        resource: 'cdn.example.com',
+        status: 'CANCELLED',
+        operations: [],
+        prefetchOperations: [],
+      },
+    ];
+
+    it('should cancel pending operations that can still be cancelled', async () => {
+      const results = cancelledResults();
+      const client = {
+        cancelOperation: jest.fn(async operationId => {
+          if (operationId === 'op3') {
+            throw new Error('Operation op3 cannot be cancelled');
+          }
+          return { id: operationId, done: true };
+        }),
+      };
+
+      await cancelPendingOperations(client, results);
+
+      expect(client.cancelOperation.mock.calls).toEqual([['op2'], ['op3']]);
+      expect(results[0].operations.map(operation => operation.status)).toEqual([
+        'DONE',
+        'CANCELLED',
+        'IN_PROGRESS',
+      ]);
+    });
+
+    it('should summarize submitted operations', () => {
+      const results = cancelledResults();
+      results[0].operations[1].status = 'CANCELLED';
+
+      expect(reportCancellation(results)).toBe(
+        '3 operation(s) submitted: 1 done, 0 failed, 1 cancelled, 1 abandoned'
+      );
+    });
+
+    it('should stop the run on SIGINT and fail with a report', async () => {
+      const inputs = {
+        'resource-id': 'bc8abcdef123',
+        paths: '/index.html',
+        'iam-token': 'test-token',
+        endpoint: 'http://127.0.0.1:9',
+        wait: 'true',
+        timeout: '60',
+      };
+      const io = {
+        getInput: name => inputs[name] || '',
+        setOutput: jest.fn(),
+        setFailed: jest.fn(),
+      };
+      const listeners = process.listenerCount('SIGINT');
+
+      const promise = run(io);
+      process.emit('SIGINT', 'SIGINT');
+      await promise;
+
+      expect(io.setFailed).toHaveBeenCalledWith(
+        'Cancelled by SIGINT. 0 operation(s) submitted: 0 done, 0 failed, ' +
+          '0 cancelled, 0 abandoned'
+      );
+      expect(io.setOutput).toHaveBeenCalledWith('status', 'CANCELLED');
+      expect(process.listenerCount('SIGINT')).toBe(listeners);
+    });
+  });
+
+  describe('run', () => {
+    let server;
+    let endpoint;
+    let requests = [];
+    let unavailable = 0;
+
+    beforeAll(done => {
+      server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        res.setHeader('Content-Type', 'application/json');
+        if (unavailable > 0) {
+          unavailable--;
+          res.statusCode = 503;
+          res.setHeader('Retry-After', '0');
+          res.end('{}');
+          return;
+        }
+        res.end(
+          JSON.stringify({
+            id: 'bc8abcdef123',
+            cname: 'cdn.example.com',
+            active: true,
+          })
+        );
+      });
+      server.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      requests = [];
+      unavailable = 0;
+    });
+
+    const runIo = async inputs => {
+      const io = {
+        getInput: name =>
+          ({
+            'resource-id': 'bc8abcdef123',
+            'iam-token': 'test-token',
+            endpoint,
+            timeout: '60',
+            ...inputs,
+          })[name] || '',
+        setOutput: jest.fn(),
+        setFailed: jest.fn(),
+      };
+      await run(io);
+      return io;
+    };
+
+    const runWith = async inputs => {
+      const io = await runIo(inputs);
+      expect(io.setFailed).not.toHaveBeenCalled();
+      return Object.fromEntries(io.setOutput.mock.calls);
+    };
+
+    it('should retry the resource lookup and purge', async () => {
+      unavailable = 1;
+
+      const outputs = await runWith({ paths: '/index.html', wait: 'false' });
+
+      expect(requests).toEqual([
+        'GET /cdn/v1/resources/bc8abcdef123',
+        'GET /cdn/v1/resources/bc8abcdef123',
+        'POST /cdn/v1/cache/bc8abcdef123:purge',
+      ]);
+      expect(outputs.status).toBe('IN_PROGRESS');
+    });
+
+    it('should not purge the whole cache through a root wildcard path', async () => {
+      const io = await runIo({
+        paths: '/*',
+        'full-purge-refs': 'main',
+        ref: 'refs/pull/7/merge',
+        'dry-run': 'true',
+      });
+
+      expect(io.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining('Path "/*" would purge the whole cache')
+      );
+      expect(requests).toEqual([]);
+    });
+
+    it('should report SKIPPED when no changed file maps to a CDN path', async () => {
+      const compareCommitsWithBasehead = jest.fn().mockResolvedValue({
+        data: { files: [{ filename: 'src/app.js' }] },
+      });
+      jest.spyOn(github, 'getOctokit').mockReturnValue({
+        rest: { repos: { compareCommitsWithBasehead } },
+      });
+
+      let outputs;
+      try {
+        outputs = await runWith({
+          'paths-from-diff': 'true',
+          'github-token': 'gh-token',
+          repository: 'foxdalas/site',
+          'diff-base': 'a1',
+          'diff-head': 'b2',
+          'path-mappings': 'dist/:/',
+        });
+      } finally {
+        github.getOctokit.mockRestore();
+      }
+
+      expect(compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'foxdalas',
+        repo: 'site',
+        basehead: 'a1...b2',
+      });
+      expect(outputs).toEqual({ status: 'SKIPPED' });
+      expect(requests).toEqual([]);
+    });
+
+    it('should check full-purge-refs against the ref input', async () => {
+      const inputs = {
+        'full-purge': 'true',
+        'full-purge-refs': 'main',
+        'dry-run': 'true',
+      };
+
+      const outputs = await runWith({ ...inputs, ref: 'main' });
+      const io = await runIo({ ...inputs, ref: 'refs/heads/dev' });
+
+      expect(outputs.status).toBe('PLANNED');
+      expect(io.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining('not allowed for ref "refs/heads/dev"')
+      );
+    });
+
+    it('should accept full URLs on the CNAME of a resource given by ID', async () => {
+      const outputs = await runWith({
+        paths: 'https://cdn.example.com/index.html',
+        'dry-run': 'true',
+      });
+
+      expect(JSON.parse(outputs.plan)).toMatchObject([
+        { status: 'PLANNED', purgeBatches: [['/index.html']] },
+      ]);
+    });
+
+    it('should check the hosts of full URLs in verify-paths', async () => {
+      const io = await runIo({
+        paths: '/index.html',
+        'verify-paths': 'https://other.example.com/x',
+        'verify-header': 'X-Build-Id: 2',
+        wait: 'true',
+        'dry-run': 'true',
+      });
+
+      expect(io.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Full URLs for other.example.com do not match CDN resource'
+        )
+      );
+    });
+
+    it('should prefetch the files collapsed into a wildcard', async () => {
+      const outputs = await runWith({
+        paths: '/a/1.js, /a/2.js',
+        'collapse-threshold': '2',
+        prefetch: 'true',
+        'dry-run': 'true',
+      });
+
+      expect(JSON.parse(outputs.plan)).toMatchObject([
+        {
+          purgeBatches: [['/a/*']],
+          prefetchBatches: [['/a/1.js', '/a/2.js']],
+        },
+      ]);
+    });
+  });
+
+  describe('setResourceOutputs', () => {
+    it('should leave empty slots for unresolved resources', () => {
+      const io = { setOutput: jest.fn() };
+      const result = (resource, details) => ({
+        resource,
+        resourceId: details?.id || null,
+        status: details ? 'DONE' : 'SKIPPED',
+        operations: [],
+        prefetchOperations: [],
+        details,
+      });
+
+      setResourceOutputs(
+        [
+          result('old.example.com', null),
+          result('cdn.example.com', {
+            id: 'bc8b',
+            cname: 'cdn.example.com',
+            originGroupId: '7',
+            active: true,
+          }),
+        ],
+        io
+      );
+
+      const outputs = Object.fromEntries(io.setOutput.mock.calls);
+      expect(outputs['resource-id']).toBe(',bc8b');
+      expect(outputs['resource-cname']).toBe(',cdn.example.com');
+      expect(outputs['origin-group-id']).toBe(',7');
+      expect(outputs['resource-active']).toBe(',true');
+    });
+  });
+
+  describe('runResourceList', () => {
+    it('should output the resources of the folder', async () => {
+      const client = {
+        listResources: jest.fn().mockResolvedValue([
+          {
+            id: 'bc8a',
+            cname: 'cdn.example.com',
+            secondaryHostnames: ['static.example.com'],
+            active: true,
+            originGroupId: '7',
+          },
+          { id: 'bc8b', cname: 'old.example.com', active: false },
+        ]),
+      };
+      const io = { setOutput: jest.fn() };
+
+      await runResourceList(client, 'b1folder', io);
+
+      expect(client.listResources).toHaveBeenCalledWith('b1folder');
+      expect(JSON.parse(io.setOutput.mock.calls[0][1])).toEqual([
+        {
+          id: 'bc8a',
+          cname: 'cdn.example.com',
+          secondaryHostnames: ['static.example.com'],
+          originGroupId: '7',
+          originGroupName: null,
+          active: true,
+        },
+        {
+          id: 'bc8b',
+          cname: 'old.example.com',
+          secondaryHostnames: [],
+          originGroupId: null,
+          originGroupName: null,
+          active: false,
+        },
+      ]);
+      expect(io.setOutput.mock.calls[0][0]).toBe('resources');
+    });
+  });
+});
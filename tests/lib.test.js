@@ -0,0 +1,44 @@
+jest.mock('@actions/core');
+
+const lib = require('../src/lib');
+
+describe('lib', () => {
+  it('should expose the client, credentials and error classes', () => {
+    for (const name of [
+      'createClient',
+      'YandexCDNClient',
+      'CredentialProvider',
+      'setLogger',
+      'CdnError',
+      'NotFoundError',
+      'OperationTimeoutError',
+    ]) {
+      expect(lib[name]).toBeDefined();
+    }
+  });
+
+  describe('createClient', () => {
+    it('should create a client for an IAM token', async () => {
+      const client = lib.createClient({
+        iamToken: 'test-token',
+        endpoint: 'https://cdn.api.cloud.example.internal',
+      });
+
+      expect(client).toBeInstanceOf(lib.YandexCDNClient);
+      expect(client.operationEndpoint).toBe(
+        'https://operation.api.cloud.example.internal'
+      );
+      await expect(client.credentials.getToken()).resolves.toBe('test-token');
+    });
+
+    it('should accept a ready credential provider', () => {
+      const credentials = lib.CredentialProvider.fromToken('test-token');
+
+      expect(lib.createClient({ credentials }).credentials).toBe(credentials);
+    });
+
+    it('should reject missing credentials with ValidationError', () => {
+      expect(() => lib.createClient()).toThrow(lib.ValidationError);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const { logger, setLogger, createConsoleLogger } = require('../src/logger');
+
+describe('logger', () => {
+  afterEach(() => {
+    setLogger(null);
+  });
+
+  it('should write through the Actions runtime by default', () => {
+    logger.warning('careful');
+
+    expect(core.warning).toHaveBeenCalledWith('careful');
+  });
+
+  it('should only mask secrets in GitHub Actions', () => {
+    const githubActions = process.env.GITHUB_ACTIONS;
+    try {
+      delete process.env.GITHUB_ACTIONS;
+      logger.setSecret('secret');
+      expect(core.setSecret).not.toHaveBeenCalled();
+
+      process.env.GITHUB_ACTIONS = 'true';
+      logger.setSecret('secret');
+      expect(core.setSecret).toHaveBeenCalledWith('secret');
+    } finally {
+      if (githubActions === undefined) {
+        delete process.env.GITHUB_ACTIONS;
+      } else {
+        process.env.GITHUB_ACTIONS = githubActions;
+      }
+    }
+  });
+
+  it('should forward to the logger set with setLogger', () => {
+    const custom = { info: jest.fn() };
+    setLogger(custom);
+
+    logger.info('hello');
+
+    expect(custom.info).toHaveBeenCalledWith('hello');
+    expect(core.info).not.toHaveBeenCalled();
+  });
+
+  describe('createConsoleLogger', () => {
+    const capture = options => {
+      const lines = [];
+      const stream = { write: chunk => lines.push(chunk) };
+      return { lines, log: createConsoleLogger({ ...options, stream }) };
+    };
+
+    it('should prefix warnings and errors', () => {
+      const { lines, log } = capture();
+
+      log.info('started');
+      log.warning('careful');
+      log.error('failed');
+      log.debug('hidden');
+
+      expect(lines).toEqual([
+        'started\n',
+        'warning: careful\n',
+        'error: failed\n',
+      ]);
+    });
+
+    it('should print debug messages when verbose', () => {
+      const { lines, log } = capture({ verbose: true });
+
+      log.debug('details');
+
+      expect(lines).toEqual(['debug: details\n']);
+    });
+
+    it('should only print warnings and errors when quiet', () => {
+      const { lines, log } = capture({ quiet: true });
+
+      log.startGroup('Group');
+      log.info('started');
+      log.warning('careful');
+
+      expect(lines).toEqual(['warning: careful\n']);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const {
+  requestMetadataToken,
+  getMetadataTokenUrl,
+} = require('../src/metadata');
+
+describe('getMetadataTokenUrl', () => {
+  it('should default to the link-local metadata host', () => {
+    expect(getMetadataTokenUrl()).toBe(
+      'http://169.254.169.254/computeMetadata/v1/instance/service-accounts/default/token'
+    );
+  });
+
+  it('should accept a host with port or scheme', () => {
+    expect(getMetadataTokenUrl('127.0.0.1:18080')).toBe(
+      'http://127.0.0.1:18080/computeMetadata/v1/instance/service-accounts/default/token'
+    );
+    expect(getMetadataTokenUrl('https://metadata.local/')).toBe(
+      'https://metadata.local/computeMetadata/v1/instance/service-accounts/default/token'
+    );
+  });
+});
+
+describe('requestMetadataToken', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should return the token with its expiry', async () => {
+    axios.get.mockResolvedValue({
+      data: { access_token: 't1', expires_in: 600, token_type: 'Bearer' },
+    });
+
+    const result = await requestMetadataToken({ metadataHost: 'localhost' });
+
+    expect(result.iamToken).toBe('t1');
+    expect(result.expiresAt).toBeGreaterThan(Date.now() + 590 * 1000);
+    expect(axios.get).toHaveBeenCalledWith(
+      'http://localhost/computeMetadata/v1/instance/service-accounts/default/token',
+      expect.objectContaining({
+        headers: { 'Metadata-Flavor': 'Google' },
+        proxy: false,
+      })
+    );
+  });
+
+  it('should explain an unreachable metadata service', async () => {
+    axios.get.mockRejectedValue(new Error('timeout of 5000ms exceeded'));
+
+    await expect(requestMetadataToken()).rejects.toThrow(
+      'Ensure the runner runs in Yandex Cloud with a service account attached'
+    );
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  escapeFileName,
+  getUrlHost,
+  normalizePath,
+  normalizePaths,
+  normalizeHostname,
+} = require('../src/path-normalizer');
+
+describe('Path Normalizer Module', () => {
+  describe('normalizeHostname', () => {
+    it('should lower-case and strip trailing dots', () => {
+      expect(normalizeHostname(' CDN.Example.com. ')).toBe('cdn.example.com');
+    });
+  });
+
+  describe('escapeFileName', () => {
+    it('should make file names with URL syntax literal', () => {
+      expect(normalizePath(escapeFileName('dist/a#b.js'))).toBe(
+        '/dist/a%23b.js'
+      );
+      expect(normalizePath(escapeFileName('q?x.html'))).toBe('/q%3Fx.html');
+      expect(normalizePath(escapeFileName('a*.js'))).toBe('/a%2A.js');
+      expect(normalizePath(escapeFileName('100%20.png'))).toBe('/100%2520.png');
+    });
+  });
+
+  describe('getUrlHost', () => {
+    it('should return the host of full URLs only', () => {
+      expect(getUrlHost('https://CDN.Example.com./a.js')).toBe(
+        'cdn.example.com'
+      );
+      expect(getUrlHost('//cdn.example.com/a.js')).toBe('cdn.example.com');
+      expect(getUrlHost('/a.js')).toBeNull();
+    });
+  });
+
+  describe('normalizePath', () => {
+    it('should add a leading slash', () => {
+      expect(normalizePath('index.html')).toBe('/index.html');
+      expect(normalizePath('/')).toBe('/');
+    });
+
+    it('should percent-encode spaces and non-ASCII characters', () => {
+      expect(normalizePath('/my file.html')).toBe('/my%20file.html');
+      expect(normalizePath('/статья.html')).toBe(
+        '/%D1%81%D1%82%D0%B0%D1%82%D1%8C%D1%8F.html'
+      );
+    });
+
+    it('should keep existing escapes and wildcards', () => {
+      expect(normalizePath('/my%20file.html')).toBe('/my%20file.html');
+      expect(normalizePath('/100%.png')).toBe('/100%25.png');
+      expect(normalizePath('/assets/*')).toBe('/assets/*');
+    });
+
+    it('should strip scheme and host matching the CNAME', () => {
+      const options = { allowedHosts: ['cdn.example.com'] };
+      expect(normalizePath('https://CDN.example.com/a.js', options)).toBe(
+        '/a.js'
+      );
+      expect(normalizePath('//cdn.example.com/a b.js', options)).toBe(
+        '/a%20b.js'
+      );
+      expect(normalizePath('https://cdn.example.com', options)).toBe('/');
+    });
+
+    it('should reject URLs for other hosts', () => {
+      expect(() =>
+        normalizePath('https://evil.example.com/a.js', {
+          allowedHosts: ['cdn.example.com'],
+        })
+      ).toThrow('does not match resource CNAME');
+      expect(() => normalizePath('https://cdn.example.com/a.js')).toThrow(
+        'full URLs are only accepted'
+      );
+    });
+
+    it('should accept any host when the caller checks hosts', () => {
+      expect(
+        normalizePath('https://other.example.com/a.js', { allowedHosts: null })
+      ).toBe('/a.js');
+    });
+
+    it('should handle query strings according to mode', () => {
+      expect(normalizePath('/a.js?v=1 2#top')).toBe('/a.js?v=1%202');
+      expect(normalizePath('/a.js?v=1', { queryStrings: 'strip' })).toBe(
+        '/a.js'
+      );
+      expect(() =>
+        normalizePath('/a.js?v=1', { queryStrings: 'reject' })
+      ).toThrow('query strings are not allowed');
+      expect(() => normalizePath('/a.js?v=*')).toThrow(
+        'wildcards are not allowed in query strings'
+      );
+    });
+
+    it('should reject invalid paths', () => {
+      expect(() => normalizePath('/a/../b')).toThrow('".." segments');
+      expect(() => normalizePath('/a//b')).toThrow('empty path segment');
+      expect(() => normalizePath('/a\tb')).toThrow('control characters');
+      expect(() => normalizePath('/a\u0000b')).toThrow('control characters');
+      expect(() => normalizePath('/a\u007fb')).toThrow('control characters');
+      expect(() => normalizePath('ftp://cdn.example.com/a')).toThrow(
+        'unsupported URL scheme'
+      );
+    });
+  });
+
+  describe('normalizePaths', () => {
+    it('should report every invalid path', () => {
+      expect(() => normalizePaths(['/ok', '/a/../b', '/a//b'])).toThrow(
+        '2 invalid paths'
+      );
+    });
+
+    it('should reject unknown query modes', () => {
+      expect(() => normalizePaths(['/a'], { queryStrings: 'drop' })).toThrow(
+        'Invalid query-strings value'
+      );
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  optimizePaths,
+  describePlan,
+  wildcardToRegExp,
+} = require('../src/path-optimizer');
+
+describe('Path Optimizer Module', () => {
+  describe('wildcardToRegExp', () => {
+    it('should match any characters for "*"', () => {
+      const regexp = wildcardToRegExp('/assets/*.js');
+      expect(regexp.test('/assets/app.js')).toBe(true);
+      expect(regexp.test('/assets/js/app.js')).toBe(true);
+      expect(regexp.test('/assets/app.css')).toBe(false);
+    });
+
+    it('should escape regular expression characters', () => {
+      expect(wildcardToRegExp('/a+b(1).js').test('/a+b(1).js')).toBe(true);
+      expect(wildcardToRegExp('/a.js').test('/abjs')).toBe(false);
+    });
+  });
+
+  describe('optimizePaths', () => {
+    it('should remove duplicates and covered paths', () => {
+      const plan = optimizePaths([
+        '/index.html',
+        '/assets/*',
+        '/assets/app.js',
+        '/index.html',
+      ]);
+
+      expect(plan).toEqual({
+        paths: ['/index.html', '/assets/*'],
+        fullPurge: false,
+        duplicates: 1,
+        covered: ['/assets/app.js'],
+        collapsed: [],
+      });
+    });
+
+    it('should collapse siblings above the threshold', () => {
+      const plan = optimizePaths(
+        ['/a/1.js', '/a/2.js', '/a/3.js', '/b/1.js', '/index.html'],
+        { collapseThreshold: 3 }
+      );
+
+      expect(plan.paths).toEqual(['/a/*', '/b/1.js', '/index.html']);
+      expect(plan.collapsed).toEqual([{ wildcard: '/a/*', count: 3 }]);
+    });
+
+    it('should collapse paths with query strings into their directory', () => {
+      const plan = optimizePaths(['/a/b.js?x=/1', '/a/b.js?x=/2', '/a/c.js'], {
+        collapseThreshold: 3,
+      });
+
+      expect(plan.paths).toEqual(['/a/*']);
+      expect(plan.collapsed).toEqual([{ wildcard: '/a/*', count: 3 }]);
+    });
+
+    it('should never collapse the root directory', () => {
+      const plan = optimizePaths(['/a.html', '/b.html', '/c/d.js'], {
+        collapseThreshold: 2,
+      });
+
+      expect(plan.paths).toEqual(['/a.html', '/b.html', '/c/d.js']);
+      expect(plan.collapsed).toEqual([]);
+    });
+
+    it('should flag a full purge above the threshold', () => {
+      const plan = optimizePaths(['/a.js', '/b.js', '/c.js'], {
+        fullPurgeThreshold: 2,
+      });
+
+      expect(plan.fullPurge).toBe(true);
+      expect(plan.paths).toEqual(['/a.js', '/b.js', '/c.js']);
+    });
+
+    it('should not flag a full purge when disabled', () => {
+      expect(optimizePaths(['/a.js', '/b.js']).fullPurge).toBe(false);
+    });
+  });
+
+  describe('describePlan', () => {
+    it('should describe every optimization step', () => {
+      const original = [
+        '/a/1.js',
+        '/a/1.js',
+        '/a/2.js',
+        '/a/*.css',
+        '/a/x.css',
+      ];
+      const lines = describePlan(
+        original,
+        optimizePaths(original, { collapseThreshold: 2 })
+      );
+
+      expect(lines).toEqual([
+        'Input paths: 5',
+        'Removed duplicates: 1',
+        'Removed paths covered by wildcards (1): ["/a/x.css"]',
+        'Collapsed 2 paths into /a/*',
+        'Final paths (1): ["/a/*"]',
+      ]);
+    });
+  });
+});
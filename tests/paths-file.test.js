@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readPathsFile, parsePathsFileContent } = require('../src/paths-file');
+
+describe('Paths File Module', () => {
+  describe('parsePathsFileContent', () => {
+    it('should parse newline-delimited text with comments', () => {
+      const content = [
+        '# Generated by build',
+        '/index.html',
+        '',
+        'assets/app.js  # main bundle',
+        '/index.html',
+      ].join('\n');
+
+      expect(parsePathsFileContent(content)).toEqual([
+        '/index.html',
+        'assets/app.js',
+      ]);
+    });
+
+    it('should parse a JSON array', () => {
+      expect(parsePathsFileContent('["/a.js", "/b.css"]')).toEqual([
+        '/a.js',
+        '/b.css',
+      ]);
+    });
+
+    it('should reject JSON arrays with non-string entries', () => {
+      expect(() => parsePathsFileContent('["/a.js", 1]')).toThrow(
+        'array of strings'
+      );
+    });
+
+    it('should parse a webpack manifest', () => {
+      const manifest = {
+        'main.js': '/static/main.abc123.js',
+        'main.css': '/static/main.def456.css',
+      };
+
+      expect(parsePathsFileContent(JSON.stringify(manifest))).toEqual([
+        '/static/main.abc123.js',
+        '/static/main.def456.css',
+      ]);
+    });
+
+    it('should parse a Vite manifest', () => {
+      const manifest = {
+        'src/main.ts': {
+          file: 'assets/main.4889e940.js',
+          css: ['assets/main.b82dbe22.css'],
+          assets: ['assets/logo.2d8efhg.png'],
+          isEntry: true,
+        },
+      };
+
+      expect(parsePathsFileContent(JSON.stringify(manifest))).toEqual([
+        'assets/main.4889e940.js',
+        'assets/main.b82dbe22.css',
+        'assets/logo.2d8efhg.png',
+      ]);
+    });
+
+    it('should read manifest entries as literal file names', () => {
+      const manifest = { 'src/a.ts': { file: 'assets/a#1.js' }, b: 'b?.js' };
+
+      expect(parsePathsFileContent(JSON.stringify(manifest))).toEqual([
+        'assets/a%231.js',
+        'b%3F.js',
+      ]);
+    });
+
+    it('should report invalid JSON', () => {
+      expect(() => parsePathsFileContent('[/a.js')).toThrow(
+        'Invalid JSON in paths file'
+      );
+    });
+  });
+
+  describe('readPathsFile', () => {
+    it('should read paths from disk', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paths-file-'));
+      const file = path.join(dir, 'paths.txt');
+      fs.writeFileSync(file, '/a.js\n/b.js\n');
+
+      try {
+        expect(readPathsFile(file)).toEqual(['/a.js', '/b.js']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should report missing files', () => {
+      expect(() => readPathsFile('/nonexistent/paths.txt')).toThrow(
+        'Failed to read paths file'
+      );
+    });
+  });
+});
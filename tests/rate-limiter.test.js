@@ -0,0 +1,102 @@
+const { RateLimiter } = require('../src/rate-limiter');
+
+describe('Rate Limiter Module', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  describe('RateLimiter', () => {
+    it('should reject invalid settings', () => {
+      expect(() => new RateLimiter({ requests: 0, perSeconds: 60 })).toThrow(
+        'Invalid rate limit'
+      );
+      expect(
+        () => new RateLimiter({ requests: 10, perSeconds: 60, burst: -1 })
+      ).toThrow('Invalid rate limit');
+    });
+
+    it('should space requests evenly after the burst', async () => {
+      const limiter = new RateLimiter(
+        { requests: 10, perSeconds: 60, burst: 2 },
+        clock
+      );
+      const bucket = limiter.bucket('bc8abc');
+
+      expect([bucket.reserve(), bucket.reserve()]).toEqual([0, 0]);
+      expect([bucket.reserve(), bucket.reserve()]).toEqual([6000, 12000]);
+    });
+
+    it('should refill over time up to the burst', () => {
+      const limiter = new RateLimiter(
+        { requests: 1, perSeconds: 1, burst: 2 },
+        clock
+      );
+      const bucket = limiter.bucket('bc8abc');
+      bucket.reserve();
+      bucket.reserve();
+
+      now = 60000;
+
+      expect([bucket.reserve(), bucket.reserve(), bucket.reserve()]).toEqual([
+        0, 0, 1000,
+      ]);
+    });
+
+    it('should keep a separate bucket per key', async () => {
+      const limiter = new RateLimiter({ requests: 1, perSeconds: 60 }, clock);
+
+      await expect(limiter.acquire('bc8abc')).resolves.toBe(true);
+      await expect(limiter.acquire('bc8def')).resolves.toBe(true);
+      expect(limiter.bucket('bc8abc').reserve()).toBe(60000);
+    });
+
+    it('should wait for the reserved slot', async () => {
+      const limiter = new RateLimiter({ requests: 1, perSeconds: 0.02 });
+      const onWait = jest.fn();
+
+      await limiter.acquire('bc8abc');
+      const start = Date.now();
+      await expect(limiter.acquire('bc8abc', { onWait })).resolves.toBe(true);
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+      expect(onWait).toHaveBeenCalledWith(expect.any(Number));
+    });
+
+    it('should not reserve a slot past the deadline', async () => {
+      const limiter = new RateLimiter({ requests: 1, perSeconds: 60 }, clock);
+      await limiter.acquire('bc8abc');
+
+      await expect(
+        limiter.acquire('bc8abc', { deadline: 30000 })
+      ).resolves.toBe(false);
+      expect(limiter.bucket('bc8abc').reserve()).toBe(60000);
+    });
+
+    it('should release the slot when cancelled', async () => {
+      const limiter = new RateLimiter({ requests: 1, perSeconds: 60 });
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+      await limiter.acquire('bc8abc');
+
+      const promise = limiter.acquire('bc8abc', { signal: controller.signal });
+      controller.abort(reason);
+
+      await expect(promise).rejects.toBe(reason);
+      expect(limiter.bucket('bc8abc').tokens).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should estimate the time to send a number of requests', () => {
+      const limiter = new RateLimiter({
+        requests: 10,
+        perSeconds: 60,
+        burst: 2,
+      });
+
+      expect(limiter.estimate(2)).toBe(0);
+      expect(limiter.estimate(12)).toBe(60000);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  parseList,
+  parseResourcesJson,
+  parseResourceTargets,
+  getSecondaryHostnames,
+  findResourceByHostname,
+} = require('../src/resources');
+
+describe('Resources Module', () => {
+  describe('parseList', () => {
+    it('should split on commas and newlines', () => {
+      expect(parseList('main,\n release/*\n\n')).toEqual(['main', 'release/*']);
+    });
+  });
+
+  describe('parseResourcesJson', () => {
+    it('should parse resources with optional paths', () => {
+      expect(
+        parseResourcesJson(
+          '[{"id": "bc8abc"}, {"cname": "cdn.example.com", "paths": "/a, /b"}]'
+        )
+      ).toEqual([
+        { id: 'bc8abc' },
+        { cname: 'cdn.example.com', paths: ['/a', '/b'] },
+      ]);
+    });
+
+    it('should require exactly one of id or cname', () => {
+      expect(() =>
+        parseResourcesJson('[{"id": "a", "cname": "cdn.example.com"}]')
+      ).toThrow('exactly one of "id" or "cname"');
+      expect(() => parseResourcesJson('[{}]')).toThrow('exactly one');
+    });
+
+    it('should accept an expected CNAME for resources given by ID', () => {
+      expect(
+        parseResourcesJson('[{"id": "bc8abc", "expectedCname": "a.com"}]')
+      ).toEqual([{ id: 'bc8abc', expectedCname: 'a.com' }]);
+      expect(() =>
+        parseResourcesJson('[{"cname": "a.com", "expectedCname": "a.com"}]')
+      ).toThrow('expectedCname can only be used with "id"');
+    });
+
+    it('should reject non-array input', () => {
+      expect(() => parseResourcesJson('{"id": "a"}')).toThrow(
+        'must be a JSON array'
+      );
+    });
+  });
+
+  describe('parseResourceTargets', () => {
+    it('should combine all resource inputs', () => {
+      expect(
+        parseResourceTargets({
+          resourceIdInput: 'bc8a, bc8b',
+          resourceCnameInput: 'cdn.example.com',
+          resourcesInput: '[{"id": "bc8c", "paths": ["/x"]}]',
+        })
+      ).toEqual([
+        { id: 'bc8a' },
+        { id: 'bc8b' },
+        { cname: 'cdn.example.com' },
+        { id: 'bc8c', paths: ['/x'] },
+      ]);
+    });
+
+    it('should pair expected CNAMEs with resource IDs', () => {
+      expect(
+        parseResourceTargets({
+          resourceIdInput: 'bc8a, bc8b',
+          expectedCnameInput: 'a.com, b.com',
+        })
+      ).toEqual([
+        { id: 'bc8a', expectedCname: 'a.com' },
+        { id: 'bc8b', expectedCname: 'b.com' },
+      ]);
+      expect(() =>
+        parseResourceTargets({
+          resourceIdInput: 'bc8a, bc8b',
+          expectedCnameInput: 'a.com',
+        })
+      ).toThrow('expected-cname lists 1 hostname(s) for 2 resource-id');
+    });
+
+    it('should require at least one resource', () => {
+      expect(() => parseResourceTargets({})).toThrow(
+        'Either resource-id, resource-cname or resources must be provided'
+      );
+    });
+
+    it('should reject duplicate resources', () => {
+      expect(() =>
+        parseResourceTargets({
+          resourceIdInput: 'bc8a',
+          resourcesInput: '[{"id": "bc8a"}]',
+        })
+      ).toThrow('listed more than once');
+    });
+
+    it('should reject CNAMEs that differ only in case or a trailing dot', () => {
+      expect(() =>
+        parseResourceTargets({
+          resourceCnameInput: 'cdn.example.com, CDN.Example.com.',
+        })
+      ).toThrow('Resource CDN.Example.com. is listed more than once');
+    });
+  });
+
+  describe('getSecondaryHostnames', () => {
+    it('should accept arrays and { values } objects', () => {
+      expect(getSecondaryHostnames({ secondaryHostnames: ['a.com'] })).toEqual([
+        'a.com',
+      ]);
+      expect(
+        getSecondaryHostnames({ secondaryHostnames: { values: ['b.com'] } })
+      ).toEqual(['b.com']);
+      expect(getSecondaryHostnames({ cname: 'c.com' })).toEqual([]);
+    });
+  });
+
+  describe('findResourceByHostname', () => {
+    const resources = [
+      {
+        id: 'bc8a',
+        cname: 'cdn.example.com',
+        secondaryHostnames: ['static.example.com'],
+      },
+      { id: 'bc8b', cname: 'static.example.com' },
+      { id: 'bc8c', cname: 'img.example.com', secondaryHostnames: [] },
+    ];
+
+    it('should ignore case and trailing dots', () => {
+      expect(findResourceByHostname(resources, 'CDN.example.COM.').id).toBe(
+        'bc8a'
+      );
+    });
+
+    it('should match secondary hostnames', () => {
+      const mirrors = [resources[0], resources[2]];
+
+      expect(findResourceByHostname(mirrors, 'Static.Example.com').id).toBe(
+        'bc8a'
+      );
+    });
+
+    it('should prefer a CNAME match over a secondary hostname', () => {
+      expect(findResourceByHostname(resources, 'static.example.com').id).toBe(
+        'bc8b'
+      );
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(findResourceByHostname(resources, 'other.example.com')).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,9 @@
-const { retryWithBackoff, isRetryableError, sleep } = require('../src/retry');
+const {
+  retryWithBackoff,
+  isRetryableError,
+  getRetryAfterMs,
+  sleep,
+} = require('../src/retry');
 
 describe('Retry Module', () => {
   describe('sleep', () => {
@@ -9,6 +14,18 @@ describe('Retry Module', () => {
       expect(elapsed).toBeGreaterThanOrEqual(95);
       expect(elapsed).toBeLessThan(200);
     });
+
+    it('should end early with the abort reason', async () => {
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+      const start = Date.now();
+
+      const promise = sleep(10000, controller.signal);
+      controller.abort(reason);
+
+      await expect(promise).rejects.toBe(reason);
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
   });
 
   describe('isRetryableError', () => {
@@ -53,6 +70,13 @@ describe('Retry Module', () => {
       });
     });
 
+    it('should follow the retryable flag of typed errors', () => {
+      expect(isRetryableError({ retryable: true, message: 'x' })).toBe(true);
+      expect(
+        isRetryableError({ retryable: false, response: { status: 503 } })
+      ).toBe(false);
+    });
+
     it('should not retry unknown errors', () => {
       const error = new Error('Something went wrong');
       expect(isRetryableError(error)).toBe(false);
@@ -126,5 +150,166 @@ describe('Retry Module', () => {
 
       expect(fn).toHaveBeenCalledTimes(3);
     });
+
+    it('should wait for the Retry-After header instead of the backoff', async () => {
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce({
+          response: { status: 429, headers: { 'retry-after': '0' } },
+        })
+        .mockResolvedValue('success');
+      const onRetry = jest.fn();
+
+      await retryWithBackoff(fn, { initialDelay: 60000, onRetry });
+
+      expect(onRetry).toHaveBeenCalledWith(
+        expect.objectContaining({ delay: 0 })
+      );
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should apply full jitter by default', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValue('success');
+      const onRetry = jest.fn();
+
+      try {
+        await retryWithBackoff(fn, { initialDelay: 20, factor: 2, onRetry });
+      } finally {
+        Math.random.mockRestore();
+      }
+
+      expect(onRetry.mock.calls.map(([{ delay }]) => delay)).toEqual([10, 20]);
+    });
+
+    it('should grow decorrelated jitter from the previous delay', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValue('success');
+      const onRetry = jest.fn();
+
+      try {
+        await retryWithBackoff(fn, {
+          initialDelay: 5,
+          maxDelay: 100,
+          jitter: 'decorrelated',
+          onRetry,
+        });
+      } finally {
+        Math.random.mockRestore();
+      }
+
+      expect(onRetry.mock.calls.map(([{ delay }]) => delay)).toEqual([
+        15, 45, 100,
+      ]);
+    });
+
+    it('should keep the exact schedule without jitter', async () => {
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValue('success');
+      const onRetry = jest.fn();
+
+      await retryWithBackoff(fn, {
+        initialDelay: 10,
+        factor: 2,
+        jitter: 'none',
+        onRetry,
+      });
+
+      expect(onRetry.mock.calls.map(([{ delay }]) => delay)).toEqual([10, 20]);
+    });
+
+    it('should stop retrying when the next attempt would miss the deadline', async () => {
+      const error = {
+        response: { status: 429, headers: { 'retry-after': '60' } },
+      };
+      const fn = jest.fn().mockRejectedValue(error);
+      const onRetry = jest.fn();
+
+      await expect(
+        retryWithBackoff(fn, { deadline: Date.now() + 5000, onRetry })
+      ).rejects.toBe(error);
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(onRetry).not.toHaveBeenCalled();
+    });
+
+    it('should stop retrying when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+      const fn = jest.fn(async () => {
+        controller.abort(reason);
+        throw { response: { status: 503 } };
+      });
+
+      await expect(
+        retryWithBackoff(fn, { initialDelay: 10, signal: controller.signal })
+      ).rejects.toBe(reason);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown jitter strategies', async () => {
+      const fn = jest.fn();
+
+      await expect(retryWithBackoff(fn, { jitter: 'random' })).rejects.toThrow(
+        'Invalid jitter "random"'
+      );
+      expect(fn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    it('should read delay-seconds', () => {
+      const error = { response: { headers: { 'retry-after': '7' } } };
+      expect(getRetryAfterMs(error)).toBe(7000);
+    });
+
+    it('should read the header of a wrapped HTTP error', () => {
+      const cause = { response: { headers: { 'retry-after': '3' } } };
+      const error = new Error('Failed to get operation status', { cause });
+
+      expect(getRetryAfterMs(error)).toBe(3000);
+    });
+
+    it('should read an HTTP date', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+      const error = {
+        response: {
+          headers: { 'retry-after': 'Mon, 01 Jan 2024 00:00:30 GMT' },
+        },
+      };
+
+      expect(getRetryAfterMs(error, now)).toBe(30000);
+    });
+
+    it('should not wait for dates in the past', () => {
+      const now = Date.parse('2024-01-01T00:01:00Z');
+      const error = {
+        response: {
+          headers: { 'retry-after': 'Mon, 01 Jan 2024 00:00:30 GMT' },
+        },
+      };
+
+      expect(getRetryAfterMs(error, now)).toBe(0);
+    });
+
+    it('should ignore missing or invalid headers', () => {
+      expect(getRetryAfterMs({ response: { status: 503 } })).toBeNull();
+      expect(getRetryAfterMs({ message: 'ECONNRESET' })).toBeNull();
+      expect(
+        getRetryAfterMs({ response: { headers: { 'retry-after': 'soon' } } })
+      ).toBeNull();
+    });
   });
 });
@@ -0,0 +1,200 @@
+jest.mock('axios');
+jest.mock('@actions/core');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  parseExpectations,
+  selectSample,
+  checkResponse,
+  verifyFreshness,
+} = require('../src/verify');
+
+describe('Verify Module', () => {
+  describe('parseExpectations', () => {
+    it('should return null when nothing is expected', () => {
+      expect(parseExpectations({})).toBeNull();
+    });
+
+    it('should parse every expectation', () => {
+      expect(
+        parseExpectations({
+          etag: '"abc"',
+          lastModified: '2025-01-31T12:00:00Z',
+          sha256: 'A'.repeat(64),
+          header: 'X-Build-Id: 1234',
+        })
+      ).toEqual({
+        etag: '"abc"',
+        lastModifiedAfter: Date.UTC(2025, 0, 31, 12),
+        sha256: 'a'.repeat(64),
+        header: { name: 'X-Build-Id', value: '1234' },
+      });
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => parseExpectations({ lastModified: 'yesterday' })).toThrow(
+        'Invalid verify-last-modified value'
+      );
+      expect(() => parseExpectations({ sha256: 'abc' })).toThrow(
+        'Invalid verify-sha256 value'
+      );
+      expect(() => parseExpectations({ header: 'X-Build-Id' })).toThrow(
+        'Invalid verify-header value'
+      );
+    });
+  });
+
+  describe('selectSample', () => {
+    it('should skip wildcards and duplicates', () => {
+      expect(
+        selectSample(['/a', '/assets/*', '/a', '/b', '/c', '/d'], 3)
+      ).toEqual(['/a', '/b', '/c']);
+    });
+  });
+
+  describe('checkResponse', () => {
+    const response = (headers, body = '', status = 200) => ({
+      status,
+      headers,
+      data: Buffer.from(body),
+    });
+
+    it('should compare ETags without quotes and weak prefix', () => {
+      expect(
+        checkResponse(response({ etag: 'W/"abc"' }), { etag: 'abc' })
+      ).toBeNull();
+      expect(checkResponse(response({ etag: '"old"' }), { etag: 'abc' })).toBe(
+        'ETag "old", expected abc'
+      );
+    });
+
+    it('should check Last-Modified against the threshold', () => {
+      const expectations = { lastModifiedAfter: Date.UTC(2025, 0, 31) };
+
+      expect(
+        checkResponse(
+          response({ 'last-modified': 'Sat, 01 Feb 2025 00:00:00 GMT' }),
+          expectations
+        )
+      ).toBeNull();
+      expect(
+        checkResponse(
+          response({ 'last-modified': 'Thu, 30 Jan 2025 00:00:00 GMT' }),
+          expectations
+        )
+      ).toContain('is before 2025-01-31T00:00:00.000Z');
+      expect(checkResponse(response({}), expectations)).toContain(
+        'Last-Modified (none)'
+      );
+    });
+
+    it('should hash the body', () => {
+      const sha256 = crypto.createHash('sha256').update('new').digest('hex');
+
+      expect(checkResponse(response({}, 'new'), { sha256 })).toBeNull();
+      expect(checkResponse(response({}, 'old'), { sha256 })).toContain(
+        `expected ${sha256}`
+      );
+    });
+
+    it('should compare a custom header', () => {
+      const header = { name: 'X-Build-Id', value: '1234' };
+
+      expect(
+        checkResponse(response({ 'x-build-id': '1234' }), { header })
+      ).toBeNull();
+      expect(
+        checkResponse(response({ 'x-build-id': '1233' }), { header })
+      ).toBe('X-Build-Id 1233, expected 1234');
+    });
+
+    it('should treat error responses as stale', () => {
+      expect(checkResponse(response({}, '', 503), {})).toBe('HTTP 503');
+    });
+  });
+
+  describe('verifyFreshness', () => {
+    const expectations = { header: { name: 'X-Build-Id', value: '2' } };
+    const build = id => ({
+      status: 200,
+      headers: { 'x-build-id': id },
+      data: Buffer.alloc(0),
+    });
+
+    beforeEach(() => {
+      jest.resetAllMocks();
+    });
+
+    it('should check again until the content is fresh', async () => {
+      axios.get
+        .mockResolvedValueOnce(build('1'))
+        .mockRejectedValueOnce(new Error('socket hang up'))
+        .mockResolvedValueOnce(build('2'));
+
+      const results = await verifyFreshness(['/index.html'], {
+        hostname: 'cdn.example.com',
+        expect: expectations,
+        interval: 1,
+      });
+
+      expect(results).toEqual([
+        {
+          path: '/index.html',
+          url: 'https://cdn.example.com/index.html',
+          fresh: true,
+          status: 200,
+          reason: null,
+          attempts: 3,
+        },
+      ]);
+    });
+
+    it('should report stale paths when the timeout expires', async () => {
+      axios.get.mockResolvedValue(build('1'));
+
+      const results = await verifyFreshness(['/a', '/b'], {
+        hostname: 'cdn.example.com',
+        expect: expectations,
+        timeoutSeconds: 0.05,
+        interval: 10,
+      });
+
+      expect(results.map(result => result.fresh)).toEqual([false, false]);
+      expect(results[0].reason).toBe('X-Build-Id 1, expected 2');
+      expect(results[0].attempts).toBeGreaterThan(1);
+    });
+
+    it('should send requests to the endpoint override with the CNAME as Host', async () => {
+      axios.get.mockResolvedValue(build('2'));
+
+      await verifyFreshness(['/a'], {
+        hostname: 'cdn.example.com',
+        expect: expectations,
+        endpoint: 'http://127.0.0.1:18080/',
+      });
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'http://127.0.0.1:18080/a',
+        expect.objectContaining({ headers: { Host: 'cdn.example.com' } })
+      );
+    });
+
+    it('should stop with the abort reason when cancelled', async () => {
+      const controller = new AbortController();
+      const reason = new Error('Cancelled by SIGINT');
+      axios.get.mockImplementation(async () => {
+        controller.abort(reason);
+        throw new Error('canceled');
+      });
+
+      await expect(
+        verifyFreshness(['/a'], {
+          hostname: 'cdn.example.com',
+          expect: expectations,
+          signal: controller.signal,
+        })
+      ).rejects.toBe(reason);
+    });
+  });
+});
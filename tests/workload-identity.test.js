@@ -0,0 +1,89 @@
+jest.mock('@actions/core');
+jest.mock('axios');
+
+const core = require('@actions/core');
+const axios = require('axios');
+const {
+  requestFederatedToken,
+  exchangeOidcToken,
+} = require('../src/workload-identity');
+
+describe('exchangeOidcToken', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should exchange the OIDC token for an IAM token', async () => {
+    axios.post.mockResolvedValue({
+      data: { access_token: 'iam-token', expires_in: 3600 },
+    });
+
+    const result = await exchangeOidcToken('id-token', 'aje123', {
+      tokenExchangeEndpoint: 'http://localhost:18080/oauth/token',
+    });
+
+    expect(result.iamToken).toBe('iam-token');
+    expect(result.expiresAt).toBeGreaterThan(Date.now());
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:18080/oauth/token');
+    expect(Object.fromEntries(new URLSearchParams(body))).toEqual({
+      grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+      requested_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+      audience: 'aje123',
+      subject_token: 'id-token',
+      subject_token_type: 'urn:ietf:params:oauth:token-type:id_token',
+    });
+  });
+
+  it('should use the Yandex Cloud endpoint by default', async () => {
+    axios.post.mockResolvedValue({ data: { access_token: 'iam-token' } });
+
+    await expect(exchangeOidcToken('id-token', 'aje123')).resolves.toEqual({
+      iamToken: 'iam-token',
+      expiresAt: null,
+    });
+    expect(axios.post.mock.calls[0][0]).toBe(
+      'https://auth.yandex.cloud/oauth/token'
+    );
+  });
+
+  it('should report OAuth errors', async () => {
+    axios.post.mockRejectedValue({
+      message: 'Request failed',
+      response: {
+        status: 400,
+        data: { error: 'invalid_grant', error_description: 'subject mismatch' },
+      },
+    });
+
+    await expect(exchangeOidcToken('id-token', 'aje123')).rejects.toThrow(
+      'Failed to exchange OIDC token for IAM token: 400 - subject mismatch'
+    );
+  });
+});
+
+describe('requestFederatedToken', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should request the GitHub OIDC token with the audience', async () => {
+    core.getIDToken.mockResolvedValue('id-token');
+    axios.post.mockResolvedValue({ data: { access_token: 'iam-token' } });
+
+    await requestFederatedToken('aje123', { oidcAudience: 'my-federation' });
+
+    expect(core.getIDToken).toHaveBeenCalledWith('my-federation');
+    expect(axios.post.mock.calls[0][1]).toContain('subject_token=id-token');
+  });
+
+  it('should explain missing id-token permission', async () => {
+    core.getIDToken.mockRejectedValue(
+      new Error('Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable')
+    );
+
+    await expect(requestFederatedToken('aje123')).rejects.toThrow(
+      'Ensure the job has "permissions: id-token: write"'
+    );
+  });
+});